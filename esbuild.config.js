@@ -43,6 +43,57 @@ esbuild
     process.exit(1);
   });
 
+// Build the client, which has no dependencies and runs in browsers as well as Node
+esbuild
+  .build({
+    entryPoints: ['packages/engine/client/index.ts'],
+    bundle: true,
+    outfile: 'dist/client.js',
+    platform: 'neutral',
+    format: 'esm',
+  })
+  .then(() => {
+    console.log('✅ Client bundle built successfully');
+  })
+  .catch(() => {
+    console.error('❌ Client bundle build failed');
+    process.exit(1);
+  });
+
+// Build the JSON-RPC over stdio entry point, started by editors as a child process
+esbuild
+  .build({
+    entryPoints: ['packages/engine/server/stdio.ts'],
+    bundle: true,
+    outfile: 'dist/stdio.js',
+    platform: 'node',
+    format: 'esm',
+    external: [
+      'express',
+      'cors',
+      'routing-controllers',
+      'reflect-metadata',
+      '@koa/cors',
+      '@koa/router',
+      'koa',
+      'koa-bodyparser',
+      'koa-compose'
+    ],
+    define: {
+      'process.env.API_VERSION': JSON.stringify(pkg.version),
+    },
+    banner: {
+      js: `#!/usr/bin/env node\nimport { createRequire } from 'module'; const require = createRequire(import.meta.url); globalThis.__filename = require('url').fileURLToPath(import.meta.url); globalThis.__dirname = require('path').dirname(globalThis.__filename);`,
+    },
+  })
+  .then(() => {
+    console.log('✅ Stdio bundle built successfully');
+  })
+  .catch(() => {
+    console.error('❌ Stdio bundle build failed');
+    process.exit(1);
+  });
+
 // Generate TypeScript declarations using tsc
 try {
   execSync('npx tsc packages/engine/index.ts --declaration --emitDeclarationOnly --outDir dist --moduleResolution node --target es2022 --module esnext --allowSyntheticDefaultImports --esModuleInterop --skipLibCheck', { stdio: 'inherit' });
@@ -3,7 +3,7 @@
  * Copyright 2025 Google LLC
  * SPDX-License-Identifier: Apache-2.0
  */
-import { AuthType, ContentGeneratorConfig } from '../core/contentGenerator.js';
+import { AuthType, ContentGeneratorConfig, ContentGeneratorCredentials } from '../core/contentGenerator.js';
 import { ToolRegistry } from '../tools/tool-registry.js';
 import { GeminiClient } from '../core/client.js';
 import { FileDiscoveryService } from '../services/fileDiscoveryService.js';
@@ -116,7 +116,7 @@ export declare class Config {
     private modelSwitchedDuringSession;
     flashFallbackHandler?: FlashFallbackHandler;
     constructor(params: ConfigParameters);
-    refreshAuth(authMethod: AuthType): Promise<void>;
+    refreshAuth(authMethod: AuthType, credentials?: ContentGeneratorCredentials): Promise<void>;
     getSessionId(): string;
     getContentGeneratorConfig(): ContentGeneratorConfig;
     getModel(): string;
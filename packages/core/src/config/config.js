@@ -155,7 +155,7 @@ export class Config {
             console.log('Data collection is disabled.');
         }
     }
-    async refreshAuth(authMethod) {
+    async refreshAuth(authMethod, credentials) {
         // Always use the original default model when switching auth methods
         // This ensures users don't stay on Flash after switching between auth types
         // and allows API key users to get proper fallback behavior from getEffectiveModel
@@ -163,7 +163,7 @@ export class Config {
         // Temporarily clear contentGeneratorConfig to prevent getModel() from returning
         // the previous session's model (which might be Flash)
         this.contentGeneratorConfig = undefined;
-        const contentConfig = await createContentGeneratorConfig(modelToUse, authMethod, this);
+        const contentConfig = await createContentGeneratorConfig(modelToUse, authMethod, this, credentials);
         const gc = new GeminiClient(this);
         this.geminiClient = gc;
         this.toolRegistry = await createToolRegistry(this);
@@ -9,6 +9,7 @@ import process from 'node:process';
 import {
   AuthType,
   ContentGeneratorConfig,
+  ContentGeneratorCredentials,
   createContentGeneratorConfig,
 } from '../core/contentGenerator.js';
 import { ToolRegistry } from '../tools/tool-registry.js';
@@ -229,7 +230,10 @@ export class Config {
     }
   }
 
-  async refreshAuth(authMethod: AuthType) {
+  async refreshAuth(
+    authMethod: AuthType,
+    credentials?: ContentGeneratorCredentials,
+  ) {
     // Always use the original default model when switching auth methods
     // This ensures users don't stay on Flash after switching between auth types
     // and allows API key users to get proper fallback behavior from getEffectiveModel
@@ -243,6 +247,7 @@ export class Config {
       modelToUse,
       authMethod,
       this,
+      credentials,
     );
 
     const gc = new GeminiClient(this);
@@ -22,9 +22,21 @@ export type ContentGeneratorConfig = {
     model: string;
     apiKey?: string;
     vertexai?: boolean;
+    project?: string;
+    location?: string;
     authType?: AuthType | undefined;
 };
+/**
+ * Explicit credentials that replace the environment, so that several clients
+ * in one process can authenticate independently. Fields left out are not
+ * read from process.env.
+ */
+export type ContentGeneratorCredentials = {
+    apiKey?: string;
+    project?: string;
+    location?: string;
+};
 export declare function createContentGeneratorConfig(model: string | undefined, authType: AuthType | undefined, config?: {
     getModel?: () => string;
-}): Promise<ContentGeneratorConfig>;
+}, credentials?: ContentGeneratorCredentials): Promise<ContentGeneratorConfig>;
 export declare function createContentGenerator(config: ContentGeneratorConfig, sessionId?: string): Promise<ContentGenerator>;
@@ -13,11 +13,19 @@ export var AuthType;
     AuthType["USE_GEMINI"] = "gemini-api-key";
     AuthType["USE_VERTEX_AI"] = "vertex-ai";
 })(AuthType || (AuthType = {}));
-export async function createContentGeneratorConfig(model, authType, config) {
-    const geminiApiKey = process.env.GEMINI_API_KEY;
-    const googleApiKey = process.env.GOOGLE_API_KEY;
-    const googleCloudProject = process.env.GOOGLE_CLOUD_PROJECT;
-    const googleCloudLocation = process.env.GOOGLE_CLOUD_LOCATION;
+export async function createContentGeneratorConfig(model, authType, config, credentials) {
+    const geminiApiKey = credentials
+        ? credentials.apiKey
+        : process.env.GEMINI_API_KEY;
+    const googleApiKey = credentials
+        ? credentials.apiKey
+        : process.env.GOOGLE_API_KEY;
+    const googleCloudProject = credentials
+        ? credentials.project
+        : process.env.GOOGLE_CLOUD_PROJECT;
+    const googleCloudLocation = credentials
+        ? credentials.location
+        : process.env.GOOGLE_CLOUD_LOCATION;
     // Use runtime model from config if available, otherwise fallback to parameter or default
     const effectiveModel = config?.getModel?.() || model || DEFAULT_GEMINI_MODEL;
     const contentGeneratorConfig = {
@@ -33,15 +41,29 @@ export async function createContentGeneratorConfig(model, authType, config) {
         contentGeneratorConfig.model = await getEffectiveModel(contentGeneratorConfig.apiKey, contentGeneratorConfig.model);
         return contentGeneratorConfig;
     }
+    // From the environment a Vertex key needs a project and location as well;
+    // explicit credentials may use the key alone
     if (authType === AuthType.USE_VERTEX_AI &&
         !!googleApiKey &&
-        googleCloudProject &&
-        googleCloudLocation) {
+        (credentials || (googleCloudProject && googleCloudLocation))) {
         contentGeneratorConfig.apiKey = googleApiKey;
         contentGeneratorConfig.vertexai = true;
+        contentGeneratorConfig.project = googleCloudProject;
+        contentGeneratorConfig.location = googleCloudLocation;
         contentGeneratorConfig.model = await getEffectiveModel(contentGeneratorConfig.apiKey, contentGeneratorConfig.model);
         return contentGeneratorConfig;
     }
+    // Explicit project and location without an API key use application
+    // default credentials.
+    if (authType === AuthType.USE_VERTEX_AI &&
+        googleCloudProject &&
+        googleCloudLocation &&
+        credentials) {
+        contentGeneratorConfig.vertexai = true;
+        contentGeneratorConfig.project = googleCloudProject;
+        contentGeneratorConfig.location = googleCloudLocation;
+        return contentGeneratorConfig;
+    }
     return contentGeneratorConfig;
 }
 export async function createContentGenerator(config, sessionId) {
@@ -59,6 +81,9 @@ export async function createContentGenerator(config, sessionId) {
         const googleGenAI = new GoogleGenAI({
             apiKey: config.apiKey === '' ? undefined : config.apiKey,
             vertexai: config.vertexai,
+            // The SDK rejects project and location next to an API key
+            project: config.apiKey ? undefined : config.project,
+            location: config.apiKey ? undefined : config.location,
             httpOptions,
         });
         return googleGenAI.models;
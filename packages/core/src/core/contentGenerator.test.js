@@ -3,8 +3,8 @@
  * Copyright 2025 Google LLC
  * SPDX-License-Identifier: Apache-2.0
  */
-import { describe, it, expect, vi } from 'vitest';
-import { createContentGenerator, AuthType } from './contentGenerator.js';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createContentGenerator, createContentGeneratorConfig, AuthType, } from './contentGenerator.js';
 import { createCodeAssistContentGenerator } from '../code_assist/codeAssist.js';
 import { GoogleGenAI } from '@google/genai';
 vi.mock('../code_assist/codeAssist.js');
@@ -41,5 +41,90 @@ describe('contentGenerator', () => {
         });
         expect(generator).toBe(mockGenerator.models);
     });
+    it('should leave project and location out next to an API key', async () => {
+        vi.mocked(GoogleGenAI).mockImplementation(() => ({ models: {} }));
+        await createContentGenerator({
+            model: 'test-model',
+            apiKey: 'test-api-key',
+            vertexai: true,
+            project: 'test-project',
+            location: 'us-central1',
+            authType: AuthType.USE_VERTEX_AI,
+        });
+        expect(vi.mocked(GoogleGenAI).mock.lastCall?.[0]).toMatchObject({
+            apiKey: 'test-api-key',
+            project: undefined,
+            location: undefined,
+        });
+    });
+    it('should pass vertex project and location to GoogleGenAI', async () => {
+        const mockGenerator = {
+            models: {},
+        };
+        vi.mocked(GoogleGenAI).mockImplementation(() => mockGenerator);
+        await createContentGenerator({
+            model: 'test-model',
+            vertexai: true,
+            project: 'test-project',
+            location: 'us-central1',
+            authType: AuthType.USE_VERTEX_AI,
+        });
+        expect(GoogleGenAI).toHaveBeenCalledWith(expect.objectContaining({
+            vertexai: true,
+            project: 'test-project',
+            location: 'us-central1',
+        }));
+    });
+});
+describe('createContentGeneratorConfig', () => {
+    afterEach(() => {
+        vi.unstubAllEnvs();
+    });
+    it('should read the Gemini API key from the environment', async () => {
+        vi.stubEnv('GEMINI_API_KEY', 'env-api-key');
+        const config = await createContentGeneratorConfig('test-model', AuthType.USE_GEMINI);
+        expect(config.apiKey).toBe('env-api-key');
+    });
+    it('should prefer explicit credentials over the environment', async () => {
+        vi.stubEnv('GEMINI_API_KEY', 'env-api-key');
+        const config = await createContentGeneratorConfig('test-model', AuthType.USE_GEMINI, undefined, { apiKey: 'explicit-api-key' });
+        expect(config.apiKey).toBe('explicit-api-key');
+        expect(config.model).toBe('test-model');
+    });
+    it('should use explicit vertex project and location without an API key', async () => {
+        vi.stubEnv('GOOGLE_API_KEY', '');
+        const config = await createContentGeneratorConfig('test-model', AuthType.USE_VERTEX_AI, undefined, { project: 'test-project', location: 'us-central1' });
+        expect(config).toEqual({
+            model: 'test-model',
+            authType: AuthType.USE_VERTEX_AI,
+            vertexai: true,
+            project: 'test-project',
+            location: 'us-central1',
+        });
+    });
+    it('should not read the environment for credentials left out', async () => {
+        vi.stubEnv('GOOGLE_API_KEY', 'env-api-key');
+        vi.stubEnv('GOOGLE_CLOUD_PROJECT', 'env-project');
+        vi.stubEnv('GOOGLE_CLOUD_LOCATION', 'env-location');
+        const config = await createContentGeneratorConfig('test-model', AuthType.USE_VERTEX_AI, undefined, { project: 'test-project' });
+        expect(config).toEqual({
+            model: 'test-model',
+            authType: AuthType.USE_VERTEX_AI,
+        });
+    });
+    it('should keep project and location with an explicit Vertex API key', async () => {
+        vi.stubEnv('GOOGLE_CLOUD_PROJECT', 'env-project');
+        const config = await createContentGeneratorConfig('test-model', AuthType.USE_VERTEX_AI, undefined, {
+            apiKey: 'explicit-api-key',
+            project: 'test-project',
+            location: 'us-central1',
+        });
+        expect(config).toMatchObject({
+            apiKey: 'explicit-api-key',
+            vertexai: true,
+            project: 'test-project',
+            location: 'us-central1',
+        });
+    });
 });
 //# sourceMappingURL=contentGenerator.test.js.map
\ No newline at end of file
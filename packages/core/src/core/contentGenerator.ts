@@ -44,18 +44,40 @@ export type ContentGeneratorConfig = {
   model: string;
   apiKey?: string;
   vertexai?: boolean;
+  project?: string;
+  location?: string;
   authType?: AuthType | undefined;
 };
 
+/**
+ * Explicit credentials that replace the environment, so that several clients
+ * in one process can authenticate independently. Fields left out are not
+ * read from process.env.
+ */
+export type ContentGeneratorCredentials = {
+  apiKey?: string;
+  project?: string;
+  location?: string;
+};
+
 export async function createContentGeneratorConfig(
   model: string | undefined,
   authType: AuthType | undefined,
   config?: { getModel?: () => string },
+  credentials?: ContentGeneratorCredentials,
 ): Promise<ContentGeneratorConfig> {
-  const geminiApiKey = process.env.GEMINI_API_KEY;
-  const googleApiKey = process.env.GOOGLE_API_KEY;
-  const googleCloudProject = process.env.GOOGLE_CLOUD_PROJECT;
-  const googleCloudLocation = process.env.GOOGLE_CLOUD_LOCATION;
+  const geminiApiKey = credentials
+    ? credentials.apiKey
+    : process.env.GEMINI_API_KEY;
+  const googleApiKey = credentials
+    ? credentials.apiKey
+    : process.env.GOOGLE_API_KEY;
+  const googleCloudProject = credentials
+    ? credentials.project
+    : process.env.GOOGLE_CLOUD_PROJECT;
+  const googleCloudLocation = credentials
+    ? credentials.location
+    : process.env.GOOGLE_CLOUD_LOCATION;
 
   // Use runtime model from config if available, otherwise fallback to parameter or default
   const effectiveModel = config?.getModel?.() || model || DEFAULT_GEMINI_MODEL;
@@ -80,14 +102,17 @@ export async function createContentGeneratorConfig(
     return contentGeneratorConfig;
   }
 
+  // From the environment a Vertex key needs a project and location as well;
+  // explicit credentials may use the key alone
   if (
     authType === AuthType.USE_VERTEX_AI &&
     !!googleApiKey &&
-    googleCloudProject &&
-    googleCloudLocation
+    (credentials || (googleCloudProject && googleCloudLocation))
   ) {
     contentGeneratorConfig.apiKey = googleApiKey;
     contentGeneratorConfig.vertexai = true;
+    contentGeneratorConfig.project = googleCloudProject;
+    contentGeneratorConfig.location = googleCloudLocation;
     contentGeneratorConfig.model = await getEffectiveModel(
       contentGeneratorConfig.apiKey,
       contentGeneratorConfig.model,
@@ -96,6 +121,21 @@ export async function createContentGeneratorConfig(
     return contentGeneratorConfig;
   }
 
+  // Explicit project and location without an API key use application
+  // default credentials.
+  if (
+    authType === AuthType.USE_VERTEX_AI &&
+    googleCloudProject &&
+    googleCloudLocation &&
+    credentials
+  ) {
+    contentGeneratorConfig.vertexai = true;
+    contentGeneratorConfig.project = googleCloudProject;
+    contentGeneratorConfig.location = googleCloudLocation;
+
+    return contentGeneratorConfig;
+  }
+
   return contentGeneratorConfig;
 }
 
@@ -124,6 +164,9 @@ export async function createContentGenerator(
     const googleGenAI = new GoogleGenAI({
       apiKey: config.apiKey === '' ? undefined : config.apiKey,
       vertexai: config.vertexai,
+      // The SDK rejects project and location next to an API key
+      project: config.apiKey ? undefined : config.project,
+      location: config.apiKey ? undefined : config.location,
       httpOptions,
     });
 
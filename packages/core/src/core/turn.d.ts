@@ -3,7 +3,7 @@
  * Copyright 2025 Google LLC
  * SPDX-License-Identifier: Apache-2.0
  */
-import { PartListUnion, GenerateContentResponse, FunctionDeclaration } from '@google/genai';
+import { PartListUnion, GenerateContentResponse, FunctionDeclaration, FinishReason, GenerateContentResponseUsageMetadata } from '@google/genai';
 import { ToolCallConfirmationDetails, ToolResult, ToolResultDisplay } from '../tools/tools.js';
 import { GeminiChat } from './geminiChat.js';
 export interface ServerTool {
@@ -20,7 +20,9 @@ export declare enum GeminiEventType {
     UserCancelled = "user_cancelled",
     Error = "error",
     ChatCompressed = "chat_compressed",
-    Thought = "thought"
+    Thought = "thought",
+    UsageMetadata = "usage_metadata",
+    Finished = "finished"
 }
 export interface StructuredError {
     message: string;
@@ -84,13 +86,26 @@ export type ServerGeminiChatCompressedEvent = {
     type: GeminiEventType.ChatCompressed;
     value: ChatCompressionInfo | null;
 };
-export type ServerGeminiStreamEvent = ServerGeminiContentEvent | ServerGeminiToolCallRequestEvent | ServerGeminiToolCallResponseEvent | ServerGeminiToolCallConfirmationEvent | ServerGeminiUserCancelledEvent | ServerGeminiErrorEvent | ServerGeminiChatCompressedEvent | ServerGeminiThoughtEvent;
+export type ServerGeminiUsageMetadataEvent = {
+    type: GeminiEventType.UsageMetadata;
+    value: GenerateContentResponseUsageMetadata & {
+        apiTimeMs?: number;
+    };
+};
+export type ServerGeminiFinishedEvent = {
+    type: GeminiEventType.Finished;
+    value: FinishReason;
+};
+export type ServerGeminiStreamEvent = ServerGeminiContentEvent | ServerGeminiToolCallRequestEvent | ServerGeminiToolCallResponseEvent | ServerGeminiToolCallConfirmationEvent | ServerGeminiUserCancelledEvent | ServerGeminiErrorEvent | ServerGeminiChatCompressedEvent | ServerGeminiThoughtEvent | ServerGeminiUsageMetadataEvent | ServerGeminiFinishedEvent;
 export declare class Turn {
     private readonly chat;
     readonly pendingToolCalls: ToolCallRequestInfo[];
     private debugResponses;
+    private lastUsageMetadata;
+    private finishReason;
     constructor(chat: GeminiChat);
     run(req: PartListUnion, signal: AbortSignal): AsyncGenerator<ServerGeminiStreamEvent>;
+    private toThought;
     private handlePendingFunctionCall;
     getDebugResponses(): GenerateContentResponse[];
 }
@@ -3,7 +3,7 @@
  * Copyright 2025 Google LLC
  * SPDX-License-Identifier: Apache-2.0
  */
-import { getResponseText } from '../utils/generateContentResponseUtilities.js';
+import { getResponseTextFromParts } from '../utils/generateContentResponseUtilities.js';
 import { reportError } from '../utils/errorReporting.js';
 import { getErrorMessage, UnauthorizedError, toFriendlyError, } from '../utils/errors.js';
 export var GeminiEventType;
@@ -16,12 +16,16 @@ export var GeminiEventType;
     GeminiEventType["Error"] = "error";
     GeminiEventType["ChatCompressed"] = "chat_compressed";
     GeminiEventType["Thought"] = "thought";
+    GeminiEventType["UsageMetadata"] = "usage_metadata";
+    GeminiEventType["Finished"] = "finished";
 })(GeminiEventType || (GeminiEventType = {}));
 // A turn manages the agentic loop turn within the server context.
 export class Turn {
     chat;
     pendingToolCalls;
     debugResponses;
+    lastUsageMetadata = null;
+    finishReason = null;
     constructor(chat) {
         this.chat = chat;
         this.pendingToolCalls = [];
@@ -29,6 +33,7 @@ export class Turn {
     }
     // The run method yields simpler events suitable for server logic
     async *run(req, signal) {
+        const startTime = Date.now();
         try {
             const responseStream = await this.chat.sendMessageStream({
                 message: req,
@@ -43,27 +48,30 @@ export class Turn {
                     return;
                 }
                 this.debugResponses.push(resp);
-                const thoughtPart = resp.candidates?.[0]?.content?.parts?.[0];
-                if (thoughtPart?.thought) {
-                    // Thought always has a bold "subject" part enclosed in double asterisks
-                    // (e.g., **Subject**). The rest of the string is considered the description.
-                    const rawText = thoughtPart.text ?? '';
-                    const subjectStringMatches = rawText.match(/\*\*(.*?)\*\*/s);
-                    const subject = subjectStringMatches
-                        ? subjectStringMatches[1].trim()
-                        : '';
-                    const description = rawText.replace(/\*\*(.*?)\*\*/s, '').trim();
-                    const thought = {
-                        subject,
-                        description,
-                    };
-                    yield {
-                        type: GeminiEventType.Thought,
-                        value: thought,
-                    };
-                    continue;
+                // Usage is reported cumulatively, so the last chunk carrying it wins
+                if (resp.usageMetadata) {
+                    this.lastUsageMetadata = resp.usageMetadata;
                 }
-                const text = getResponseText(resp);
+                const finishReason = resp.candidates?.[0]?.finishReason;
+                if (finishReason) {
+                    this.finishReason = finishReason;
+                }
+                // Thoughts and text may share a chunk in any order, so every part is
+                // sorted on its own. Text parts between thoughts make one event
+                let textParts = [];
+                for (const part of resp.candidates?.[0]?.content?.parts ?? []) {
+                    if (!part.thought) {
+                        textParts.push(part);
+                        continue;
+                    }
+                    const text = getResponseTextFromParts(textParts);
+                    if (text) {
+                        yield { type: GeminiEventType.Content, value: text };
+                    }
+                    textParts = [];
+                    yield { type: GeminiEventType.Thought, value: this.toThought(part) };
+                }
+                const text = getResponseTextFromParts(textParts);
                 if (text) {
                     yield { type: GeminiEventType.Content, value: text };
                 }
@@ -76,6 +84,18 @@ export class Turn {
                     }
                 }
             }
+            if (this.finishReason) {
+                yield { type: GeminiEventType.Finished, value: this.finishReason };
+            }
+            if (this.lastUsageMetadata) {
+                yield {
+                    type: GeminiEventType.UsageMetadata,
+                    value: {
+                        ...this.lastUsageMetadata,
+                        apiTimeMs: Date.now() - startTime,
+                    },
+                };
+            }
         }
         catch (e) {
             const error = toFriendlyError(e);
@@ -103,6 +123,15 @@ export class Turn {
             return;
         }
     }
+    toThought(part) {
+        // Thought always has a bold "subject" part enclosed in double asterisks
+        // (e.g., **Subject**). The rest of the string is considered the description.
+        const rawText = part.text ?? '';
+        const subjectStringMatches = rawText.match(/\*\*(.*?)\*\*/s);
+        const subject = subjectStringMatches ? subjectStringMatches[1].trim() : '';
+        const description = rawText.replace(/\*\*(.*?)\*\*/s, '').trim();
+        return { subject, description };
+    }
     handlePendingFunctionCall(fnCall) {
         const callId = fnCall.id ??
             `${fnCall.name}-${Date.now()}-${Math.random().toString(16).slice(2)}`;
@@ -5,6 +5,7 @@
  */
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { Turn, GeminiEventType, } from './turn.js';
+import { FinishReason, } from '@google/genai';
 import { reportError } from '../utils/errorReporting.js';
 const mockSendMessageStream = vi.fn();
 const mockGetHistory = vi.fn();
@@ -23,8 +24,7 @@ vi.mock('../utils/errorReporting', () => ({
     reportError: vi.fn(),
 }));
 vi.mock('../utils/generateContentResponseUtilities', () => ({
-    getResponseText: (resp) => resp.candidates?.[0]?.content?.parts?.map((part) => part.text).join('') ||
-        undefined,
+    getResponseTextFromParts: (parts) => parts.map((part) => part.text).join('') || undefined,
 }));
 describe('Turn', () => {
     let turn;
@@ -74,6 +74,53 @@ describe('Turn', () => {
             ]);
             expect(turn.getDebugResponses().length).toBe(2);
         });
+        it('should split thoughts and text that share a chunk', async () => {
+            const mockResponseStream = (async function* () {
+                yield {
+                    candidates: [
+                        {
+                            content: {
+                                parts: [
+                                    { text: '**Planning** the answer', thought: true },
+                                    { text: 'Hello' },
+                                ],
+                            },
+                        },
+                    ],
+                };
+                yield {
+                    candidates: [
+                        {
+                            content: {
+                                parts: [
+                                    { text: ' world' },
+                                    { text: '**Checking** the result', thought: true },
+                                    { text: '!' },
+                                ],
+                            },
+                        },
+                    ],
+                };
+            })();
+            mockSendMessageStream.mockResolvedValue(mockResponseStream);
+            const events = [];
+            for await (const event of turn.run([{ text: 'Hi' }], new AbortController().signal)) {
+                events.push(event);
+            }
+            expect(events).toEqual([
+                {
+                    type: GeminiEventType.Thought,
+                    value: { subject: 'Planning', description: 'the answer' },
+                },
+                { type: GeminiEventType.Content, value: 'Hello' },
+                { type: GeminiEventType.Content, value: ' world' },
+                {
+                    type: GeminiEventType.Thought,
+                    value: { subject: 'Checking', description: 'the result' },
+                },
+                { type: GeminiEventType.Content, value: '!' },
+            ]);
+        });
         it('should yield tool_call_request events for function calls', async () => {
             const mockResponseStream = (async function* () {
                 yield {
@@ -144,6 +191,78 @@ describe('Turn', () => {
             ]);
             expect(turn.getDebugResponses().length).toBe(1);
         });
+        it('should yield a UsageMetadata event with the last reported usage after the response', async () => {
+            const mockResponseStream = (async function* () {
+                yield {
+                    candidates: [{ content: { parts: [{ text: 'Hello' }] } }],
+                    usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 1 },
+                };
+                yield {
+                    candidates: [{ content: { parts: [{ text: ' world' }] } }],
+                    usageMetadata: {
+                        promptTokenCount: 10,
+                        candidatesTokenCount: 3,
+                        totalTokenCount: 13,
+                    },
+                };
+            })();
+            mockSendMessageStream.mockResolvedValue(mockResponseStream);
+            const events = [];
+            for await (const event of turn.run([{ text: 'Hi' }], new AbortController().signal)) {
+                events.push(event);
+            }
+            expect(events).toEqual([
+                { type: GeminiEventType.Content, value: 'Hello' },
+                { type: GeminiEventType.Content, value: ' world' },
+                {
+                    type: GeminiEventType.UsageMetadata,
+                    value: {
+                        promptTokenCount: 10,
+                        candidatesTokenCount: 3,
+                        totalTokenCount: 13,
+                        apiTimeMs: expect.any(Number),
+                    },
+                },
+            ]);
+        });
+        it('should yield a Finished event with the finish reason of the response', async () => {
+            const mockResponseStream = (async function* () {
+                yield {
+                    candidates: [{ content: { parts: [{ text: 'Cut' }] } }],
+                };
+                yield {
+                    candidates: [
+                        {
+                            content: { parts: [{ text: ' off' }] },
+                            finishReason: FinishReason.MAX_TOKENS,
+                        },
+                    ],
+                };
+            })();
+            mockSendMessageStream.mockResolvedValue(mockResponseStream);
+            const events = [];
+            for await (const event of turn.run([{ text: 'Hi' }], new AbortController().signal)) {
+                events.push(event);
+            }
+            expect(events).toEqual([
+                { type: GeminiEventType.Content, value: 'Cut' },
+                { type: GeminiEventType.Content, value: ' off' },
+                { type: GeminiEventType.Finished, value: FinishReason.MAX_TOKENS },
+            ]);
+        });
+        it('should not yield a UsageMetadata event when no usage is reported', async () => {
+            const mockResponseStream = (async function* () {
+                yield {
+                    candidates: [{ content: { parts: [{ text: 'Hello' }] } }],
+                };
+            })();
+            mockSendMessageStream.mockResolvedValue(mockResponseStream);
+            const events = [];
+            for await (const event of turn.run([{ text: 'Hi' }], new AbortController().signal)) {
+                events.push(event);
+            }
+            expect(events.some((event) => event.type === GeminiEventType.UsageMetadata)).toBe(false);
+        });
         it('should yield Error event and report if sendMessageStream throws', async () => {
             const error = new Error('API Error');
             mockSendMessageStream.mockRejectedValue(error);
@@ -11,7 +11,12 @@ import {
   ServerGeminiToolCallRequestEvent,
   ServerGeminiErrorEvent,
 } from './turn.js';
-import { GenerateContentResponse, Part, Content } from '@google/genai';
+import {
+  FinishReason,
+  GenerateContentResponse,
+  Part,
+  Content,
+} from '@google/genai';
 import { reportError } from '../utils/errorReporting.js';
 import { GeminiChat } from './geminiChat.js';
 
@@ -35,9 +40,8 @@ vi.mock('../utils/errorReporting', () => ({
 }));
 
 vi.mock('../utils/generateContentResponseUtilities', () => ({
-  getResponseText: (resp: GenerateContentResponse) =>
-    resp.candidates?.[0]?.content?.parts?.map((part) => part.text).join('') ||
-    undefined,
+  getResponseTextFromParts: (parts: Part[]) =>
+    parts.map((part) => part.text).join('') || undefined,
 }));
 
 describe('Turn', () => {
@@ -104,6 +108,59 @@ describe('Turn', () => {
       expect(turn.getDebugResponses().length).toBe(2);
     });
 
+    it('should split thoughts and text that share a chunk', async () => {
+      const mockResponseStream = (async function* () {
+        yield {
+          candidates: [
+            {
+              content: {
+                parts: [
+                  { text: '**Planning** the answer', thought: true },
+                  { text: 'Hello' },
+                ],
+              },
+            },
+          ],
+        } as unknown as GenerateContentResponse;
+        yield {
+          candidates: [
+            {
+              content: {
+                parts: [
+                  { text: ' world' },
+                  { text: '**Checking** the result', thought: true },
+                  { text: '!' },
+                ],
+              },
+            },
+          ],
+        } as unknown as GenerateContentResponse;
+      })();
+      mockSendMessageStream.mockResolvedValue(mockResponseStream);
+
+      const events = [];
+      for await (const event of turn.run(
+        [{ text: 'Hi' }],
+        new AbortController().signal,
+      )) {
+        events.push(event);
+      }
+
+      expect(events).toEqual([
+        {
+          type: GeminiEventType.Thought,
+          value: { subject: 'Planning', description: 'the answer' },
+        },
+        { type: GeminiEventType.Content, value: 'Hello' },
+        { type: GeminiEventType.Content, value: ' world' },
+        {
+          type: GeminiEventType.Thought,
+          value: { subject: 'Checking', description: 'the result' },
+        },
+        { type: GeminiEventType.Content, value: '!' },
+      ]);
+    });
+
     it('should yield tool_call_request events for function calls', async () => {
       const mockResponseStream = (async function* () {
         yield {
@@ -189,6 +246,98 @@ describe('Turn', () => {
       expect(turn.getDebugResponses().length).toBe(1);
     });
 
+    it('should yield a UsageMetadata event with the last reported usage after the response', async () => {
+      const mockResponseStream = (async function* () {
+        yield {
+          candidates: [{ content: { parts: [{ text: 'Hello' }] } }],
+          usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 1 },
+        } as unknown as GenerateContentResponse;
+        yield {
+          candidates: [{ content: { parts: [{ text: ' world' }] } }],
+          usageMetadata: {
+            promptTokenCount: 10,
+            candidatesTokenCount: 3,
+            totalTokenCount: 13,
+          },
+        } as unknown as GenerateContentResponse;
+      })();
+      mockSendMessageStream.mockResolvedValue(mockResponseStream);
+
+      const events = [];
+      for await (const event of turn.run(
+        [{ text: 'Hi' }],
+        new AbortController().signal,
+      )) {
+        events.push(event);
+      }
+
+      expect(events).toEqual([
+        { type: GeminiEventType.Content, value: 'Hello' },
+        { type: GeminiEventType.Content, value: ' world' },
+        {
+          type: GeminiEventType.UsageMetadata,
+          value: {
+            promptTokenCount: 10,
+            candidatesTokenCount: 3,
+            totalTokenCount: 13,
+            apiTimeMs: expect.any(Number),
+          },
+        },
+      ]);
+    });
+
+    it('should yield a Finished event with the finish reason of the response', async () => {
+      const mockResponseStream = (async function* () {
+        yield {
+          candidates: [{ content: { parts: [{ text: 'Cut' }] } }],
+        } as unknown as GenerateContentResponse;
+        yield {
+          candidates: [
+            {
+              content: { parts: [{ text: ' off' }] },
+              finishReason: FinishReason.MAX_TOKENS,
+            },
+          ],
+        } as unknown as GenerateContentResponse;
+      })();
+      mockSendMessageStream.mockResolvedValue(mockResponseStream);
+
+      const events = [];
+      for await (const event of turn.run(
+        [{ text: 'Hi' }],
+        new AbortController().signal,
+      )) {
+        events.push(event);
+      }
+
+      expect(events).toEqual([
+        { type: GeminiEventType.Content, value: 'Cut' },
+        { type: GeminiEventType.Content, value: ' off' },
+        { type: GeminiEventType.Finished, value: FinishReason.MAX_TOKENS },
+      ]);
+    });
+
+    it('should not yield a UsageMetadata event when no usage is reported', async () => {
+      const mockResponseStream = (async function* () {
+        yield {
+          candidates: [{ content: { parts: [{ text: 'Hello' }] } }],
+        } as unknown as GenerateContentResponse;
+      })();
+      mockSendMessageStream.mockResolvedValue(mockResponseStream);
+
+      const events = [];
+      for await (const event of turn.run(
+        [{ text: 'Hi' }],
+        new AbortController().signal,
+      )) {
+        events.push(event);
+      }
+
+      expect(
+        events.some((event) => event.type === GeminiEventType.UsageMetadata),
+      ).toBe(false);
+    });
+
     it('should yield Error event and report if sendMessageStream throws', async () => {
       const error = new Error('API Error');
       mockSendMessageStream.mockRejectedValue(error);
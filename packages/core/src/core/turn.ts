@@ -9,13 +9,16 @@ import {
   GenerateContentResponse,
   FunctionCall,
   FunctionDeclaration,
+  FinishReason,
+  GenerateContentResponseUsageMetadata,
+  Part,
 } from '@google/genai';
 import {
   ToolCallConfirmationDetails,
   ToolResult,
   ToolResultDisplay,
 } from '../tools/tools.js';
-import { getResponseText } from '../utils/generateContentResponseUtilities.js';
+import { getResponseTextFromParts } from '../utils/generateContentResponseUtilities.js';
 import { reportError } from '../utils/errorReporting.js';
 import {
   getErrorMessage,
@@ -48,6 +51,8 @@ export enum GeminiEventType {
   Error = 'error',
   ChatCompressed = 'chat_compressed',
   Thought = 'thought',
+  UsageMetadata = 'usage_metadata',
+  Finished = 'finished',
 }
 
 export interface StructuredError {
@@ -127,6 +132,16 @@ export type ServerGeminiChatCompressedEvent = {
   value: ChatCompressionInfo | null;
 };
 
+export type ServerGeminiUsageMetadataEvent = {
+  type: GeminiEventType.UsageMetadata;
+  value: GenerateContentResponseUsageMetadata & { apiTimeMs?: number };
+};
+
+export type ServerGeminiFinishedEvent = {
+  type: GeminiEventType.Finished;
+  value: FinishReason;
+};
+
 // The original union type, now composed of the individual types
 export type ServerGeminiStreamEvent =
   | ServerGeminiContentEvent
@@ -136,12 +151,16 @@ export type ServerGeminiStreamEvent =
   | ServerGeminiUserCancelledEvent
   | ServerGeminiErrorEvent
   | ServerGeminiChatCompressedEvent
-  | ServerGeminiThoughtEvent;
+  | ServerGeminiThoughtEvent
+  | ServerGeminiUsageMetadataEvent
+  | ServerGeminiFinishedEvent;
 
 // A turn manages the agentic loop turn within the server context.
 export class Turn {
   readonly pendingToolCalls: ToolCallRequestInfo[];
   private debugResponses: GenerateContentResponse[];
+  private lastUsageMetadata: GenerateContentResponseUsageMetadata | null = null;
+  private finishReason: FinishReason | null = null;
 
   constructor(private readonly chat: GeminiChat) {
     this.pendingToolCalls = [];
@@ -152,6 +171,7 @@ export class Turn {
     req: PartListUnion,
     signal: AbortSignal,
   ): AsyncGenerator<ServerGeminiStreamEvent> {
+    const startTime = Date.now();
     try {
       const responseStream = await this.chat.sendMessageStream({
         message: req,
@@ -168,29 +188,31 @@ export class Turn {
         }
         this.debugResponses.push(resp);
 
-        const thoughtPart = resp.candidates?.[0]?.content?.parts?.[0];
-        if (thoughtPart?.thought) {
-          // Thought always has a bold "subject" part enclosed in double asterisks
-          // (e.g., **Subject**). The rest of the string is considered the description.
-          const rawText = thoughtPart.text ?? '';
-          const subjectStringMatches = rawText.match(/\*\*(.*?)\*\*/s);
-          const subject = subjectStringMatches
-            ? subjectStringMatches[1].trim()
-            : '';
-          const description = rawText.replace(/\*\*(.*?)\*\*/s, '').trim();
-          const thought: ThoughtSummary = {
-            subject,
-            description,
-          };
-
-          yield {
-            type: GeminiEventType.Thought,
-            value: thought,
-          };
-          continue;
+        // Usage is reported cumulatively, so the last chunk carrying it wins
+        if (resp.usageMetadata) {
+          this.lastUsageMetadata = resp.usageMetadata;
+        }
+        const finishReason = resp.candidates?.[0]?.finishReason;
+        if (finishReason) {
+          this.finishReason = finishReason;
         }
 
-        const text = getResponseText(resp);
+        // Thoughts and text may share a chunk in any order, so every part is
+        // sorted on its own. Text parts between thoughts make one event
+        let textParts: Part[] = [];
+        for (const part of resp.candidates?.[0]?.content?.parts ?? []) {
+          if (!part.thought) {
+            textParts.push(part);
+            continue;
+          }
+          const text = getResponseTextFromParts(textParts);
+          if (text) {
+            yield { type: GeminiEventType.Content, value: text };
+          }
+          textParts = [];
+          yield { type: GeminiEventType.Thought, value: this.toThought(part) };
+        }
+        const text = getResponseTextFromParts(textParts);
         if (text) {
           yield { type: GeminiEventType.Content, value: text };
         }
@@ -204,6 +226,20 @@ export class Turn {
           }
         }
       }
+
+      if (this.finishReason) {
+        yield { type: GeminiEventType.Finished, value: this.finishReason };
+      }
+
+      if (this.lastUsageMetadata) {
+        yield {
+          type: GeminiEventType.UsageMetadata,
+          value: {
+            ...this.lastUsageMetadata,
+            apiTimeMs: Date.now() - startTime,
+          },
+        };
+      }
     } catch (e) {
       const error = toFriendlyError(e);
       if (error instanceof UnauthorizedError) {
@@ -238,6 +274,16 @@ export class Turn {
     }
   }
 
+  private toThought(part: Part): ThoughtSummary {
+    // Thought always has a bold "subject" part enclosed in double asterisks
+    // (e.g., **Subject**). The rest of the string is considered the description.
+    const rawText = part.text ?? '';
+    const subjectStringMatches = rawText.match(/\*\*(.*?)\*\*/s);
+    const subject = subjectStringMatches ? subjectStringMatches[1].trim() : '';
+    const description = rawText.replace(/\*\*(.*?)\*\*/s, '').trim();
+    return { subject, description };
+  }
+
   private handlePendingFunctionCall(
     fnCall: FunctionCall,
   ): ServerGeminiStreamEvent | null {
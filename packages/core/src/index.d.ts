@@ -25,6 +25,7 @@ export * from './utils/getFolderStructure.js';
 export * from './utils/memoryDiscovery.js';
 export * from './utils/gitIgnoreParser.js';
 export * from './utils/editor.js';
+export * from './utils/fileUtils.js';
 export * from './services/fileDiscoveryService.js';
 export * from './services/gitService.js';
 export * from './tools/tools.js';
@@ -28,6 +28,7 @@ export * from './utils/getFolderStructure.js';
 export * from './utils/memoryDiscovery.js';
 export * from './utils/gitIgnoreParser.js';
 export * from './utils/editor.js';
+export * from './utils/fileUtils.js';
 // Export services
 export * from './services/fileDiscoveryService.js';
 export * from './services/gitService.js';
@@ -272,6 +272,9 @@ async function connectAndDiscover(mcpServerName, mcpServerConfig, toolRegistry)
             updateMCPServerStatus(mcpServerName, MCPServerStatus.DISCONNECTED);
         }
     }
+    else {
+        toolRegistry.registerMcpConnection(mcpServerName, transport);
+    }
 }
 export function sanitizeParameters(schema) {
     if (!schema) {
@@ -57,6 +57,7 @@ vi.mock('@modelcontextprotocol/sdk/client/streamableHttp.js', () => {
 const mockToolRegistryInstance = {
     registerTool: vi.fn(),
     getToolsByServer: vi.fn().mockReturnValue([]), // Default to empty array
+    registerMcpConnection: vi.fn(),
     // Add other methods if they are called by the code under test, with default mocks
     getTool: vi.fn(),
     getAllTools: vi.fn().mockReturnValue([]),
@@ -76,6 +77,7 @@ describe('discoverMcpTools', () => {
         // Reset individual spies on the shared instance before each test
         mockToolRegistry.registerTool.mockClear();
         mockToolRegistry.getToolsByServer.mockClear().mockReturnValue([]); // Reset to default
+        mockToolRegistry.registerMcpConnection.mockClear();
         mockToolRegistry.getTool.mockClear().mockReturnValue(undefined); // Default to no existing tool
         mockToolRegistry.getAllTools.mockClear().mockReturnValue([]);
         mockToolRegistry.getFunctionDeclarations.mockClear().mockReturnValue([]);
@@ -190,6 +192,8 @@ describe('discoverMcpTools', () => {
         const registeredTool = mockToolRegistry.registerTool.mock
             .calls[0][0];
         expect(registeredTool.name).toBe('tool-stdio');
+        // The connection stays open and is handed to the registry for cleanup
+        expect(mockToolRegistry.registerMcpConnection).toHaveBeenCalledWith('stdio-server', vi.mocked(StdioClientTransport).mock.instances[0]);
     });
     it('should discover tools via mcpServers config (sse)', async () => {
         const serverConfig = { url: 'http://localhost:1234/sse' };
@@ -419,6 +423,7 @@ describe('discoverMcpTools', () => {
         expect(console.error).toHaveBeenCalledWith(expect.stringContaining("failed to start or connect to MCP server 'fail-connect-server'"));
         expect(Client.prototype.listTools).not.toHaveBeenCalled();
         expect(mockToolRegistry.registerTool).not.toHaveBeenCalled();
+        expect(mockToolRegistry.registerMcpConnection).not.toHaveBeenCalled();
     });
     it('should log error and skip server if mcpClient.listTools fails', async () => {
         const serverConfig = { command: './mcp-fail-list' };
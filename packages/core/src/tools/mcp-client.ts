@@ -372,6 +372,8 @@ async function connectAndDiscover(
       // Update status to disconnected
       updateMCPServerStatus(mcpServerName, MCPServerStatus.DISCONNECTED);
     }
+  } else {
+    toolRegistry.registerMcpConnection(mcpServerName, transport);
   }
 }
 
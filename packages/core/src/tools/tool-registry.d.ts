@@ -15,8 +15,15 @@ export declare class DiscoveredTool extends BaseTool<ToolParams, ToolResult> {
     constructor(config: Config, name: string, description: string, parameterSchema: Record<string, unknown>);
     execute(params: ToolParams): Promise<ToolResult>;
 }
+/**
+ * An open connection to an MCP server, such as an MCP SDK transport.
+ */
+export interface McpConnection {
+    close(): Promise<void>;
+}
 export declare class ToolRegistry {
     private tools;
+    private mcpConnections;
     private discovery;
     private config;
     constructor(config: Config);
@@ -49,5 +56,16 @@ export declare class ToolRegistry {
      * Get the definition of a specific tool.
      */
     getTool(name: string): Tool | undefined;
+    /**
+     * Keeps a connection to an MCP server that provides tools, so it can be
+     * closed when the registry is disposed.
+     */
+    registerMcpConnection(serverName: string, connection: McpConnection): void;
+    /**
+     * Closes all MCP server connections, stopping servers started over stdio.
+     * Tools from those servers stop working afterwards.
+     */
+    dispose(): Promise<void>;
+    private closeMcpConnections;
 }
 export {};
@@ -100,6 +100,7 @@ Signal: Signal number or \`(none)\` if no signal was received.
 }
 export class ToolRegistry {
     tools = new Map();
+    mcpConnections = new Map();
     discovery = null;
     config;
     constructor(config) {
@@ -121,6 +122,8 @@ export class ToolRegistry {
      * Can be called multiple times to update discovered tools.
      */
     async discoverTools() {
+        // close connections whose tools are about to be rediscovered
+        await this.closeMcpConnections();
         // remove any previously discovered tools
         for (const tool of this.tools.values()) {
             if (tool instanceof DiscoveredTool || tool instanceof DiscoveredMCPTool) {
@@ -191,5 +194,31 @@ export class ToolRegistry {
     getTool(name) {
         return this.tools.get(name);
     }
+    /**
+     * Keeps a connection to an MCP server that provides tools, so it can be
+     * closed when the registry is disposed.
+     */
+    registerMcpConnection(serverName, connection) {
+        this.mcpConnections.set(serverName, connection);
+    }
+    /**
+     * Closes all MCP server connections, stopping servers started over stdio.
+     * Tools from those servers stop working afterwards.
+     */
+    async dispose() {
+        await this.closeMcpConnections();
+    }
+    async closeMcpConnections() {
+        const connections = Array.from(this.mcpConnections.entries());
+        this.mcpConnections.clear();
+        await Promise.all(connections.map(async ([serverName, connection]) => {
+            try {
+                await connection.close();
+            }
+            catch (error) {
+                console.error(`Failed to close connection to MCP server '${serverName}': ${error}`);
+            }
+        }));
+    }
 }
 //# sourceMappingURL=tool-registry.js.map
\ No newline at end of file
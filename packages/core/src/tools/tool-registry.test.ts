@@ -332,6 +332,54 @@ describe('ToolRegistry', () => {
       expect(toolRegistry.getAllTools()).toHaveLength(0);
     });
   });
+  describe('dispose', () => {
+    it('should close registered MCP connections', async () => {
+      const first = { close: vi.fn().mockResolvedValue(undefined) };
+      const second = { close: vi.fn().mockResolvedValue(undefined) };
+      toolRegistry.registerMcpConnection('first', first);
+      toolRegistry.registerMcpConnection('second', second);
+
+      await toolRegistry.dispose();
+
+      expect(first.close).toHaveBeenCalledTimes(1);
+      expect(second.close).toHaveBeenCalledTimes(1);
+    });
+
+    it('should close each connection only once', async () => {
+      const connection = { close: vi.fn().mockResolvedValue(undefined) };
+      toolRegistry.registerMcpConnection('server', connection);
+
+      await toolRegistry.dispose();
+      await toolRegistry.dispose();
+
+      expect(connection.close).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep closing other connections when one fails', async () => {
+      const failing = { close: vi.fn().mockRejectedValue(new Error('boom')) };
+      const working = { close: vi.fn().mockResolvedValue(undefined) };
+      toolRegistry.registerMcpConnection('failing', failing);
+      toolRegistry.registerMcpConnection('working', working);
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await toolRegistry.dispose();
+
+      expect(working.close).toHaveBeenCalledTimes(1);
+      expect(console.error).toHaveBeenCalledWith(
+        expect.stringContaining("MCP server 'failing'"),
+      );
+    });
+
+    it('should close previous connections when tools are rediscovered', async () => {
+      const connection = { close: vi.fn().mockResolvedValue(undefined) };
+      toolRegistry.registerMcpConnection('server', connection);
+      mockDiscoverMcpTools.mockResolvedValue(undefined);
+
+      await toolRegistry.discoverTools();
+
+      expect(connection.close).toHaveBeenCalledTimes(1);
+    });
+  });
   // Other tests for DiscoveredTool and DiscoveredMCPTool can be simplified or removed
   // if their core logic is now tested in their respective dedicated test files (mcp-tool.test.ts)
 });
@@ -121,8 +121,16 @@ Signal: Signal number or \`(none)\` if no signal was received.
   }
 }
 
+/**
+ * An open connection to an MCP server, such as an MCP SDK transport.
+ */
+export interface McpConnection {
+  close(): Promise<void>;
+}
+
 export class ToolRegistry {
   private tools: Map<string, Tool> = new Map();
+  private mcpConnections: Map<string, McpConnection> = new Map();
   private discovery: Promise<void> | null = null;
   private config: Config;
 
@@ -149,6 +157,8 @@ export class ToolRegistry {
    * Can be called multiple times to update discovered tools.
    */
   async discoverTools(): Promise<void> {
+    // close connections whose tools are about to be rediscovered
+    await this.closeMcpConnections();
     // remove any previously discovered tools
     for (const tool of this.tools.values()) {
       if (tool instanceof DiscoveredTool || tool instanceof DiscoveredMCPTool) {
@@ -231,4 +241,36 @@ export class ToolRegistry {
   getTool(name: string): Tool | undefined {
     return this.tools.get(name);
   }
+
+  /**
+   * Keeps a connection to an MCP server that provides tools, so it can be
+   * closed when the registry is disposed.
+   */
+  registerMcpConnection(serverName: string, connection: McpConnection): void {
+    this.mcpConnections.set(serverName, connection);
+  }
+
+  /**
+   * Closes all MCP server connections, stopping servers started over stdio.
+   * Tools from those servers stop working afterwards.
+   */
+  async dispose(): Promise<void> {
+    await this.closeMcpConnections();
+  }
+
+  private async closeMcpConnections(): Promise<void> {
+    const connections = Array.from(this.mcpConnections.entries());
+    this.mcpConnections.clear();
+    await Promise.all(
+      connections.map(async ([serverName, connection]) => {
+        try {
+          await connection.close();
+        } catch (error) {
+          console.error(
+            `Failed to close connection to MCP server '${serverName}': ${error}`,
+          );
+        }
+      }),
+    );
+  }
 }
@@ -7,8 +7,10 @@ import { FileDiscoveryService } from '../services/fileDiscoveryService.js';
 /**
  * Loads hierarchical GEMINI.md files and concatenates their content.
  * This function is intended for use by the server.
+ * The discovered file paths are returned so callers can watch them for changes.
  */
 export declare function loadServerHierarchicalMemory(currentWorkingDirectory: string, debugMode: boolean, fileService: FileDiscoveryService, extensionContextFilePaths?: string[]): Promise<{
     memoryContent: string;
     fileCount: number;
+    filePaths: string[];
 }>;
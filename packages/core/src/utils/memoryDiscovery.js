@@ -194,6 +194,7 @@ currentWorkingDirectoryForDisplay) {
 /**
  * Loads hierarchical GEMINI.md files and concatenates their content.
  * This function is intended for use by the server.
+ * The discovered file paths are returned so callers can watch them for changes.
  */
 export async function loadServerHierarchicalMemory(currentWorkingDirectory, debugMode, fileService, extensionContextFilePaths = []) {
     if (debugMode)
@@ -205,7 +206,7 @@ export async function loadServerHierarchicalMemory(currentWorkingDirectory, debu
     if (filePaths.length === 0) {
         if (debugMode)
             logger.debug('No GEMINI.md files found in hierarchy.');
-        return { memoryContent: '', fileCount: 0 };
+        return { memoryContent: '', fileCount: 0, filePaths: [] };
     }
     const contentsWithPaths = await readGeminiMdFiles(filePaths, debugMode);
     // Pass CWD for relative path display in concatenated content
@@ -214,6 +215,10 @@ export async function loadServerHierarchicalMemory(currentWorkingDirectory, debu
         logger.debug(`Combined instructions length: ${combinedInstructions.length}`);
     if (debugMode && combinedInstructions.length > 0)
         logger.debug(`Combined instructions (snippet): ${combinedInstructions.substring(0, 500)}...`);
-    return { memoryContent: combinedInstructions, fileCount: filePaths.length };
+    return {
+        memoryContent: combinedInstructions,
+        fileCount: filePaths.length,
+        filePaths,
+    };
 }
 //# sourceMappingURL=memoryDiscovery.js.map
\ No newline at end of file
@@ -47,9 +47,10 @@ describe('loadServerHierarchicalMemory', () => {
         mockFs.access.mockRejectedValue(new Error('File not found'));
     });
     it('should return empty memory and count if no context files are found', async () => {
-        const { memoryContent, fileCount } = await loadServerHierarchicalMemory(CWD, false, fileService);
+        const { memoryContent, fileCount, filePaths } = await loadServerHierarchicalMemory(CWD, false, fileService);
         expect(memoryContent).toBe('');
         expect(fileCount).toBe(0);
+        expect(filePaths).toEqual([]);
     });
     it('should load only the global context file if present and others are not (default filename)', async () => {
         const globalDefaultFile = path.join(GLOBAL_GEMINI_DIR, DEFAULT_CONTEXT_FILENAME);
@@ -65,9 +66,10 @@ describe('loadServerHierarchicalMemory', () => {
             }
             throw new Error('File not found');
         });
-        const { memoryContent, fileCount } = await loadServerHierarchicalMemory(CWD, false, fileService);
+        const { memoryContent, fileCount, filePaths } = await loadServerHierarchicalMemory(CWD, false, fileService);
         expect(memoryContent).toBe(`--- Context from: ${path.relative(CWD, globalDefaultFile)} ---\nGlobal memory content\n--- End of Context from: ${path.relative(CWD, globalDefaultFile)} ---`);
         expect(fileCount).toBe(1);
+        expect(filePaths).toEqual([globalDefaultFile]);
         expect(mockFs.readFile).toHaveBeenCalledWith(globalDefaultFile, 'utf-8');
     });
     it('should load only the global custom context file if present and filename is changed', async () => {
@@ -68,13 +68,11 @@ describe('loadServerHierarchicalMemory', () => {
   });
 
   it('should return empty memory and count if no context files are found', async () => {
-    const { memoryContent, fileCount } = await loadServerHierarchicalMemory(
-      CWD,
-      false,
-      fileService,
-    );
+    const { memoryContent, fileCount, filePaths } =
+      await loadServerHierarchicalMemory(CWD, false, fileService);
     expect(memoryContent).toBe('');
     expect(fileCount).toBe(0);
+    expect(filePaths).toEqual([]);
   });
 
   it('should load only the global context file if present and others are not (default filename)', async () => {
@@ -95,16 +93,14 @@ describe('loadServerHierarchicalMemory', () => {
       throw new Error('File not found');
     });
 
-    const { memoryContent, fileCount } = await loadServerHierarchicalMemory(
-      CWD,
-      false,
-      fileService,
-    );
+    const { memoryContent, fileCount, filePaths } =
+      await loadServerHierarchicalMemory(CWD, false, fileService);
 
     expect(memoryContent).toBe(
       `--- Context from: ${path.relative(CWD, globalDefaultFile)} ---\nGlobal memory content\n--- End of Context from: ${path.relative(CWD, globalDefaultFile)} ---`,
     );
     expect(fileCount).toBe(1);
+    expect(filePaths).toEqual([globalDefaultFile]);
     expect(mockFs.readFile).toHaveBeenCalledWith(globalDefaultFile, 'utf-8');
   });
 
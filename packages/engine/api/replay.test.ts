@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { ReplayBuffer } from './replay.js';
+
+// Ids are numbered across runs of the session
+const idsOf = (frames: string[]) => frames.map((frame) => Number(/^id: (\d+)/.exec(frame)?.[1]));
+
+describe('ReplayBuffer', () => {
+  it('should replay the events of the run after the last one seen', () => {
+    const buffer = new ReplayBuffer();
+    const first = buffer.startRun(() => {});
+    buffer.push(first, 'text', '"a"');
+    buffer.push(first, 'done', '{}');
+    buffer.endRun(first);
+    const second = buffer.startRun(() => {});
+    buffer.push(second, 'text', '"b"');
+    buffer.push(second, 'text', '"c"');
+
+    const replay = buffer.replay(3);
+    expect(replay?.runId).toBe(second);
+    expect(idsOf(replay!.frames)).toEqual([4]);
+    expect(replay!.frames[0]).toBe('id: 4\nevent: text\ndata: "c"\n\n');
+    // The first run ended with its last event, so there is nothing to replay
+    expect(buffer.replay(2)).toEqual({ runId: first, frames: [] });
+  });
+
+  it('should not resume another run when the last event seen was dropped', () => {
+    const buffer = new ReplayBuffer();
+    const first = buffer.startRun(() => {});
+    for (let i = 0; i < 500; i++) {
+      buffer.push(first, 'text', '"old"');
+    }
+    buffer.endRun(first);
+    const second = buffer.startRun(() => {});
+    buffer.push(second, 'text', '"new"');
+
+    // Event 1 has been pushed out of the buffer; its run is unknown
+    expect(buffer.replay(1)).toBeNull();
+    // Ids the buffer never handed out are unknown too
+    expect(buffer.replay(0)).toBeNull();
+    expect(buffer.replay(1000)).toBeNull();
+  });
+
+  it('should send events to attached listeners until the run ends', () => {
+    const buffer = new ReplayBuffer();
+    const run = buffer.startRun(() => {});
+    const frames: string[] = [];
+    let ended = false;
+    buffer.subscribe(run, { send: (frame) => frames.push(frame), end: () => (ended = true) });
+
+    buffer.push(run, 'text', '"a"');
+    buffer.endRun(run);
+
+    expect(idsOf(frames)).toEqual([1]);
+    expect(ended).toBe(true);
+    expect(buffer.isRunning(run)).toBe(false);
+    expect(buffer.subscribe(run, { send: () => {}, end: () => {} })).toBeNull();
+  });
+});
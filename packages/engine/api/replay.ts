@@ -0,0 +1,127 @@
+// Events kept per session for clients reconnecting with Last-Event-ID
+const MAX_REPLAY_EVENTS = 500;
+// Sessions with a replay buffer; the least recently used one is dropped first
+const MAX_REPLAY_SESSIONS = 100;
+// How long a run keeps going with no client attached, waiting for a reconnect
+const RECONNECT_GRACE_MS = 30_000;
+
+export interface ReplayListener {
+  send(frame: string): void;
+  end(): void;
+}
+
+interface BufferedEvent {
+  id: number;
+  runId: number;
+  frame: string;
+}
+
+interface Run {
+  listeners: Set<ReplayListener>;
+  onAbandoned: () => void;
+  abandonTimer?: NodeJS.Timeout;
+}
+
+const formatFrame = (id: number, event: string, data: string): string =>
+  `id: ${id}\nevent: ${event}\ndata: ${data}\n\n`;
+
+/**
+ * Numbers the SSE events of one session and keeps the most recent ones, so a
+ * client that lost its connection can pick up where it left off. Each stream
+ * is a run; clients are attached to a run and detached when it ends.
+ */
+class ReplayBuffer {
+  private events: BufferedEvent[] = [];
+  private runs = new Map<number, Run>();
+  private nextEventId = 1;
+  private nextRunId = 1;
+
+  /**
+   * Starts a run. `onAbandoned` is called when no client has been attached
+   * for RECONNECT_GRACE_MS.
+   */
+  startRun(onAbandoned: () => void): number {
+    const runId = this.nextRunId++;
+    this.runs.set(runId, { listeners: new Set(), onAbandoned });
+    return runId;
+  }
+
+  push(runId: number, event: string, data: string) {
+    const id = this.nextEventId++;
+    const frame = formatFrame(id, event, data);
+    this.events.push({ id, runId, frame });
+    if (this.events.length > MAX_REPLAY_EVENTS) {
+      this.events.shift();
+    }
+    for (const listener of this.runs.get(runId)?.listeners ?? []) {
+      listener.send(frame);
+    }
+  }
+
+  endRun(runId: number) {
+    const run = this.runs.get(runId);
+    if (!run) return;
+    clearTimeout(run.abandonTimer);
+    this.runs.delete(runId);
+    for (const listener of run.listeners) {
+      listener.end();
+    }
+  }
+
+  isRunning(runId: number): boolean {
+    return this.runs.has(runId);
+  }
+
+  /**
+   * Attaches a listener to a running run. Returns a function that detaches it,
+   * or null when the run has already ended.
+   */
+  subscribe(runId: number, listener: ReplayListener): (() => void) | null {
+    const run = this.runs.get(runId);
+    if (!run) return null;
+
+    clearTimeout(run.abandonTimer);
+    run.listeners.add(listener);
+    return () => {
+      run.listeners.delete(listener);
+      if (run.listeners.size === 0 && this.runs.has(runId)) {
+        run.abandonTimer = setTimeout(run.onAbandoned, RECONNECT_GRACE_MS);
+      }
+    };
+  }
+
+  /**
+   * Finds the events a client missed after `lastEventId`, in the run that
+   * event belongs to. Returns null when that event is no longer in the
+   * buffer, since the client can't be told which run it was part of.
+   */
+  replay(lastEventId: number): { runId: number; frames: string[] } | null {
+    const last = this.events.find((event) => event.id === lastEventId);
+    if (!last) return null;
+
+    const frames = this.events
+      .filter((event) => event.runId === last.runId && event.id > lastEventId)
+      .map((event) => event.frame);
+    return { runId: last.runId, frames };
+  }
+}
+
+const buffers = new Map<string, ReplayBuffer>();
+
+const getReplayBuffer = (sessionId: string): ReplayBuffer => {
+  let buffer = buffers.get(sessionId);
+  if (buffer) {
+    // Re-insert to mark the session as recently used
+    buffers.delete(sessionId);
+  } else {
+    buffer = new ReplayBuffer();
+  }
+  buffers.set(sessionId, buffer);
+
+  if (buffers.size > MAX_REPLAY_SESSIONS) {
+    buffers.delete(buffers.keys().next().value!);
+  }
+  return buffer;
+}
+
+export { getReplayBuffer, ReplayBuffer };
@@ -0,0 +1,132 @@
+import { FinishReason } from '@google/genai';
+import { once } from 'node:events';
+import { createServer } from 'node:http';
+import type { AddressInfo } from 'node:net';
+import { describe, expect, it } from 'vitest';
+import { emptyUsage, EngineEvent, EngineService, StreamOptions } from '../services/engine.js';
+import { readEventStream, ServerSentEvent } from '../client/sse.js';
+import { sendEventStream, toReadableStream, toResponse } from './stream.js';
+
+const done: EngineEvent = { type: 'done', data: { finishReason: FinishReason.STOP, turns: 1, usage: emptyUsage() } };
+
+let sessions = 0;
+
+/**
+ * An engine that yields `events`, holding back all but the first `held` until
+ * `release()`, so tests can reconnect in the middle of a run.
+ */
+const fakeEngine = (events: EngineEvent[], held = events.length) => {
+  const calls: { prompt: unknown; context?: string; options: StreamOptions }[] = [];
+  let release = () => {};
+  const released = new Promise<void>((resolve) => (release = resolve));
+  const sessionId = `stream-test-${++sessions}`;
+  const engine = {
+    getSessionId: () => sessionId,
+    async *streamWithToolEvents(prompt: unknown, context: string | undefined, options: StreamOptions) {
+      calls.push({ prompt, context, options });
+      for (const [index, event] of events.entries()) {
+        if (index >= held) {
+          await released;
+        }
+        yield event;
+      }
+    },
+  };
+  return { engine: engine as unknown as EngineService, calls, release };
+};
+
+const readAll = async (body: ReadableStream<Uint8Array>): Promise<ServerSentEvent[]> => {
+  const events: ServerSentEvent[] = [];
+  for await (const event of readEventStream(body)) {
+    events.push(event);
+  }
+  return events;
+};
+
+const typesOf = (events: ServerSentEvent[]) => events.map((event) => event.event);
+
+describe('toResponse', () => {
+  it('should stream the events of the prompt as SSE', async () => {
+    const { engine, calls } = fakeEngine([{ type: 'text', data: 'Hello' }, done]);
+    const response = toResponse(engine, 'Hi', { context: 'Be brief', model: 'pro', includeThoughts: false });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toBe('text/event-stream');
+    const events = await readAll(response.body!);
+    expect(typesOf(events)).toEqual(['text', 'done']);
+    expect(events.map((event) => event.id)).toEqual(['1', '2']);
+    expect(JSON.parse(events[0].data)).toMatchObject({ type: 'text', content: 'Hello' });
+    expect(calls[0]).toMatchObject({ prompt: 'Hi', context: 'Be brief', options: { model: 'pro', includeThoughts: false } });
+  });
+
+  it('should answer 204 when there is nothing to resume', async () => {
+    const { engine, calls } = fakeEngine([done]);
+    expect(toResponse(engine, 'Hi', { lastEventId: '42' }).status).toBe(204);
+    // A reconnect never sends the prompt again
+    expect(calls).toHaveLength(0);
+  });
+});
+
+describe('toReadableStream', () => {
+  it('should start with a retry hint', async () => {
+    const { engine } = fakeEngine([done]);
+    const reader = toReadableStream(engine, 'Hi')!.getReader();
+    const { value } = await reader.read();
+    expect(new TextDecoder().decode(value)).toBe('retry: 3000\n\n');
+    await reader.cancel();
+  });
+
+  it('should send a reconnecting client what it missed and keep it attached', async () => {
+    const { engine, calls, release } = fakeEngine([{ type: 'text', data: 'a' }, { type: 'text', data: 'b' }, done], 2);
+    const first = readEventStream(toReadableStream(engine, 'Hi')!)[Symbol.asyncIterator]();
+    expect((await first.next()).value).toMatchObject({ id: '1', event: 'text' });
+    // The connection drops after the first event
+    await first.return!();
+
+    const resumed = readAll(toReadableStream(engine, 'Hi', { lastEventId: '1' })!);
+    release();
+    const events = await resumed;
+
+    expect(events.map((event) => [event.id, event.event])).toEqual([['2', 'text'], ['3', 'done']]);
+    expect(calls).toHaveLength(1);
+  });
+
+  it('should not resume a run that has ended without anything missed', async () => {
+    const { engine } = fakeEngine([done]);
+    await readAll(toReadableStream(engine, 'Hi')!);
+    expect(toReadableStream(engine, 'Hi', { lastEventId: '1' })).toBeNull();
+  });
+});
+
+describe('sendEventStream', () => {
+  const serve = async (engine: EngineService) => {
+    const server = createServer((req, res) => void sendEventStream(res, engine, 'Hi', { history: [] }));
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    return { server, url: `http://127.0.0.1:${(server.address() as AddressInfo).port}` };
+  };
+
+  it('should write the stream to a ServerResponse', async () => {
+    const { engine, calls } = fakeEngine([{ type: 'text', data: 'Hello' }, done]);
+    const { server, url } = await serve(engine);
+    try {
+      const response = await fetch(url);
+      expect(response.headers.get('content-type')).toBe('text/event-stream');
+      expect(typesOf(await readAll(response.body!))).toEqual(['text', 'done']);
+      expect(calls[0].options.history).toEqual([]);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('should read Last-Event-ID from the request', async () => {
+    const { engine } = fakeEngine([done]);
+    const { server, url } = await serve(engine);
+    try {
+      const response = await fetch(url, { headers: { 'Last-Event-ID': '7' } });
+      expect(response.status).toBe(204);
+    } finally {
+      server.close();
+    }
+  });
+});
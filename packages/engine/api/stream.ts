@@ -1,47 +1,191 @@
-import { Response } from 'express';
-import { EngineService, ToolErrorData, ToolRequestData, ToolResultData, ToolStartData } from "../services/engine.js";
+import type { PartListUnion } from '@google/genai';
+import type { Response } from 'express';
+import type { ServerResponse } from 'node:http';
+import { EngineEvent, EngineService, StreamOptions, toErrorData } from "../services/engine.js";
+import { getReplayBuffer, ReplayBuffer, ReplayListener } from './replay.js';
 
 export interface StreamEvent {
-  type: 'text' | 'tool_request' | 'tool_start' | 'tool_result' | 'tool_error' | 'chat_compressed';
-  content: string | ToolRequestData | ToolStartData | ToolResultData | ToolErrorData;
+  type: EngineEvent['type'];
+  content: EngineEvent['data'];
   timestamp: string;
 }
 
-const stream = async (response: Response, engine: EngineService, prompt: string, setHeaders?: boolean, context?: string) => {
-  if (setHeaders) {
-    response.setHeader('Content-Type', 'text/event-stream');
-    response.setHeader('Cache-Control', 'no-cache');
-    response.setHeader('Connection', 'keep-alive');
-  }
+export interface EventStreamOptions extends Omit<StreamOptions, 'signal'> {
+  context?: string;
+  // Last-Event-ID header of a reconnecting client. Resumes the running stream instead of sending the prompt
+  lastEventId?: string | null;
+}
+
+// Comment lines keep proxies from closing the connection during long tool runs
+const HEARTBEAT_INTERVAL_MS = 15_000;
+// Reconnect delay suggested to EventSource clients
+const RETRY_MS = 3_000;
+
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive',
+};
+
+/**
+ * Runs a prompt in the background, pushing its events to the session's replay
+ * buffer. Stops generating and kills running tools once no client has been
+ * attached for a while, so a dropped connection still has time to reconnect.
+ */
+const startRun = (buffer: ReplayBuffer, engine: EngineService, prompt: PartListUnion, options: EventStreamOptions): number => {
+  const { context, model, includeThoughts, history } = options;
+  const abortController = new AbortController();
+  const runId = buffer.startRun(() => abortController.abort());
 
   const sendEvent = (event: StreamEvent) => {
-    response.write(`data: ${JSON.stringify(event)}\n\n`);
+    buffer.push(runId, event.type, JSON.stringify(event));
   };
 
-  try {
-    for await (const event of engine.streamWithToolEvents(prompt, context)) {
+  (async () => {
+    try {
+      for await (const event of engine.streamWithToolEvents(prompt, context, { model, includeThoughts, history, signal: abortController.signal })) {
+        sendEvent({
+          type: event.type,
+          content: event.data,
+          timestamp: new Date().toISOString()
+        });
+      }
+    } catch (error) {
+      // The engine reports failures as events; this only catches bugs in the loop itself
       sendEvent({
-        type: event.type,
-        content: event.data as string | ToolRequestData | ToolStartData | ToolResultData | ToolErrorData,
+        type: 'error',
+        content: toErrorData(error),
         timestamp: new Date().toISOString()
       });
+    } finally {
+      buffer.endRun(runId);
+    }
+  })();
+
+  return runId;
+}
+
+/**
+ * Streams a prompt's events as SSE bytes: a WHATWG ReadableStream that works
+ * with any framework or runtime. Cancelling the stream detaches the client.
+ * With `lastEventId`, sends the events the client missed and stays attached to
+ * the running stream. Returns null when there is nothing left to resume;
+ * answer 204 then, which tells EventSource to stop reconnecting.
+ */
+const toReadableStream = (engine: EngineService, prompt: PartListUnion, options: EventStreamOptions = {}): ReadableStream<Uint8Array> | null => {
+  const buffer = getReplayBuffer(engine.getSessionId());
+
+  let runId: number;
+  let missed: string[] = [];
+  if (options.lastEventId && /^\d+$/.test(options.lastEventId)) {
+    const replay = buffer.replay(Number(options.lastEventId));
+    if (!replay || (replay.frames.length === 0 && !buffer.isRunning(replay.runId))) {
+      return null;
+    }
+    runId = replay.runId;
+    missed = replay.frames;
+  } else {
+    runId = startRun(buffer, engine, prompt, options);
+  }
+
+  const encoder = new TextEncoder();
+  let heartbeat: NodeJS.Timeout | undefined;
+  let unsubscribe: (() => void) | null = null;
+  const detach = () => {
+    clearInterval(heartbeat);
+    unsubscribe?.();
+  };
+
+  return new ReadableStream<Uint8Array>({
+    start(controller) {
+      let open = true;
+      const listener: ReplayListener = {
+        send: (frame) => {
+          if (open) controller.enqueue(encoder.encode(frame));
+        },
+        end: () => {
+          if (!open) return;
+          open = false;
+          clearInterval(heartbeat);
+          controller.close();
+        },
+      };
+
+      listener.send(`retry: ${RETRY_MS}\n\n`);
+      missed.forEach(listener.send);
+      heartbeat = setInterval(() => listener.send(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+      unsubscribe = buffer.subscribe(runId, listener);
+      if (!unsubscribe) {
+        listener.end();
+      }
+    },
+    cancel: detach,
+  });
+}
+
+/**
+ * Fetch API adapter for handlers that return a `Response`, such as Hono,
+ * Next.js route handlers and edge runtimes.
+ */
+const toResponse = (engine: EngineService, prompt: PartListUnion, options: EventStreamOptions = {}): globalThis.Response => {
+  const body = toReadableStream(engine, prompt, options);
+  if (!body) {
+    return new globalThis.Response(null, { status: 204 });
+  }
+  return new globalThis.Response(body, { headers: SSE_HEADERS });
+}
+
+/**
+ * node:http adapter, also usable with Fastify (`reply.hijack()` and
+ * `reply.raw`) and anything else built on ServerResponse. Reads Last-Event-ID
+ * from the request unless `lastEventId` is given. Resolves once the stream has
+ * ended or the client is gone.
+ */
+const sendEventStream = async (
+  response: ServerResponse,
+  engine: EngineService,
+  prompt: PartListUnion,
+  options: EventStreamOptions & { setHeaders?: boolean } = {},
+) => {
+  const { setHeaders = true, ...streamOptions } = options;
+  const lastEventId = options.lastEventId ?? response.req?.headers['last-event-id'];
+  const body = toReadableStream(engine, prompt, { ...streamOptions, lastEventId: typeof lastEventId === 'string' ? lastEventId : undefined });
+  if (!body) {
+    response.statusCode = 204;
+    response.end();
+    return;
+  }
+
+  if (setHeaders && !response.headersSent) {
+    for (const [name, value] of Object.entries(SSE_HEADERS)) {
+      response.setHeader(name, value);
+    }
+  }
+
+  const reader = body.getReader();
+  response.on('close', () => reader.cancel());
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      if (!response.destroyed) response.write(value);
     }
-  } catch (error) {
-    // Send error event
-    sendEvent({
-      type: 'tool_error',
-      content: {
-        callId: 'error',
-        name: 'unknown',
-        args: {},
-        error: error instanceof Error ? error.message : String(error),
-        duration: 0
-      },
-      timestamp: new Date().toISOString()
-    });
   } finally {
     response.end();
   }
 }
 
-export { stream };
+/**
+ * Express integration, kept for existing callers. See sendEventStream.
+ */
+const stream = (
+  response: Response,
+  engine: EngineService,
+  prompt: PartListUnion,
+  setHeaders?: boolean,
+  context?: string,
+  options: Omit<StreamOptions, 'signal'> = {},
+) => sendEventStream(response, engine, prompt, { ...options, context, setHeaders: setHeaders ?? false });
+
+export { sendEventStream, stream, toReadableStream, toResponse };
@@ -0,0 +1,209 @@
+import type { StreamEvent } from '../api/stream.js';
+import type { SessionInfo } from '../server/sessions.js';
+import type { EngineConfig, EngineEvent, ToolConfirmationOutcome } from '../services/engine.js';
+import { readEventStream, SSEParser } from './sse.js';
+
+// Only type imports above: this module must not pull the engine into browser bundles
+
+/**
+ * A parsed stream event, narrowed on `type`:
+ * `if (event.type === 'tool_result') event.content.result`
+ */
+export type EngineStreamEvent = EngineEvent extends infer E
+  ? E extends { type: infer T; data: infer D }
+    ? { id: string; type: T; content: D; timestamp: string }
+    : never
+  : never;
+
+export interface EngineClientOptions {
+  // Root of the engine server, e.g. `http://localhost:5000`
+  baseUrl: string;
+  // Sent with every request, e.g. `{ Authorization: 'Bearer ...' }`
+  headers?: Record<string, string> | (() => Record<string, string> | Promise<Record<string, string>>);
+  // Defaults to the global fetch
+  fetch?: typeof fetch;
+  // Reconnects per stream after the connection drops. Default: 5
+  maxReconnects?: number;
+}
+
+export interface ClientStreamOptions {
+  context?: string;
+  includeThoughts?: boolean;
+  // Stops reading and detaches from the stream. Use cancel() to stop the engine as well
+  signal?: AbortSignal;
+}
+
+/**
+ * Error of a request to the engine server, with its status and `error` message.
+ */
+class EngineClientError extends Error {
+  constructor(message: string, readonly status?: number) {
+    super(message);
+    this.name = 'EngineClientError';
+  }
+}
+
+const DEFAULT_MAX_RECONNECTS = 5;
+// Used until the server sends `retry:`
+const DEFAULT_RETRY_MS = 3_000;
+
+const delay = (ms: number, signal?: AbortSignal) =>
+  new Promise<void>((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+
+/**
+ * Parses the `data` of an engine SSE event.
+ */
+const parseStreamEvent = (id: string, data: string): EngineStreamEvent => {
+  const event = JSON.parse(data) as StreamEvent;
+  return { id, type: event.type, content: event.content, timestamp: event.timestamp } as EngineStreamEvent;
+}
+
+/**
+ * Client for the engine server's session routes. Works in Node 18+ and browsers.
+ */
+class EngineClient {
+  private baseUrl: string;
+  private fetch: typeof fetch;
+  private maxReconnects: number;
+
+  constructor(private options: EngineClientOptions) {
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    this.fetch = options.fetch ?? globalThis.fetch.bind(globalThis);
+    this.maxReconnects = options.maxReconnects ?? DEFAULT_MAX_RECONNECTS;
+  }
+
+  createSession(config: EngineConfig): Promise<SessionInfo> {
+    return this.json('POST', '/sessions', config);
+  }
+
+  getSession(sessionId: string): Promise<SessionInfo> {
+    return this.json('GET', `/sessions/${encodeURIComponent(sessionId)}`);
+  }
+
+  listSessions(): Promise<SessionInfo[]> {
+    return this.json('GET', '/sessions');
+  }
+
+  async deleteSession(sessionId: string): Promise<void> {
+    await this.json('DELETE', `/sessions/${encodeURIComponent(sessionId)}`);
+  }
+
+  /**
+   * Answers a `tool_confirmation` event.
+   */
+  async approve(sessionId: string, callId: string, outcome: ToolConfirmationOutcome | `${ToolConfirmationOutcome}`): Promise<void> {
+    await this.json('POST', `/sessions/${encodeURIComponent(sessionId)}/confirm`, { callId, outcome });
+  }
+
+  /**
+   * Stops the session's running streams and tools.
+   */
+  async cancel(sessionId: string): Promise<void> {
+    await this.json('POST', `/sessions/${encodeURIComponent(sessionId)}/cancel`);
+  }
+
+  /**
+   * Sends a prompt and yields its events until `done`. If the connection
+   * drops, reconnects with Last-Event-ID and continues where it left off, so
+   * no event is lost or repeated. Throws an EngineClientError if the stream
+   * can't be resumed.
+   */
+  async *stream(sessionId: string, prompt: string, options: ClientStreamOptions = {}): AsyncGenerator<EngineStreamEvent, void, unknown> {
+    const path = `/sessions/${encodeURIComponent(sessionId)}/stream`;
+    const parser = new SSEParser();
+    let reconnects = 0;
+
+    let response = await this.request('POST', path, {
+      prompt,
+      context: options.context,
+      includeThoughts: options.includeThoughts,
+    }, { signal: options.signal });
+
+    while (true) {
+      try {
+        for await (const { id, data } of readEventStream(response.body!, parser)) {
+          const event = parseStreamEvent(id, data);
+          reconnects = 0;
+          yield event;
+          if (event.type === 'done') return;
+        }
+      } catch {
+        // A dropped connection, resumed below
+      }
+      if (options.signal?.aborted) return;
+
+      // The stream ended without `done`, so the connection was lost. Resuming
+      // needs an event id; without one the server would start a new prompt
+      if (!parser.lastEventId) {
+        throw new EngineClientError(`Stream of session ${sessionId} was interrupted`);
+      }
+      let resumed: Response | null = null;
+      while (!resumed) {
+        if (reconnects++ >= this.maxReconnects) {
+          throw new EngineClientError(`Stream of session ${sessionId} was interrupted`);
+        }
+        await delay(parser.retry ?? DEFAULT_RETRY_MS, options.signal);
+        if (options.signal?.aborted) return;
+        try {
+          resumed = await this.request('GET', path, undefined, {
+            signal: options.signal,
+            headers: { 'Last-Event-ID': parser.lastEventId },
+          });
+        } catch (error) {
+          if (options.signal?.aborted) return;
+          // Network failures and server errors may pass, anything else won't
+          if (error instanceof EngineClientError && error.status !== undefined && error.status < 500) throw error;
+        }
+      }
+      if (resumed.status === 204) {
+        throw new EngineClientError(`Stream of session ${sessionId} can no longer be resumed`, 204);
+      }
+      response = resumed;
+    }
+  }
+
+  private async request(
+    method: string,
+    path: string,
+    body?: unknown,
+    init: { signal?: AbortSignal; headers?: Record<string, string> } = {},
+  ): Promise<Response> {
+    const headers = typeof this.options.headers === 'function' ? await this.options.headers() : this.options.headers;
+    const response = await this.fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers: {
+        ...headers,
+        ...init.headers,
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: init.signal,
+    });
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      let message = text || response.statusText;
+      try {
+        message = JSON.parse(text).error ?? message;
+      } catch {
+        // Not JSON, keep the text
+      }
+      throw new EngineClientError(typeof message === 'string' ? message : JSON.stringify(message), response.status);
+    }
+    return response;
+  }
+
+  private async json<T>(method: string, path: string, body?: unknown): Promise<T> {
+    const response = await this.request(method, path, body);
+    if (response.status === 204) return undefined as T;
+    return response.json() as Promise<T>;
+  }
+}
+
+export { EngineClient, EngineClientError, parseStreamEvent };
@@ -0,0 +1,92 @@
+import { describe, expect, it } from 'vitest';
+import { readEventStream, SSEParser, ServerSentEvent } from './sse.js';
+
+// Feeds the chunks one at a time and collects every completed event
+const parse = (chunks: string[], parser = new SSEParser()): ServerSentEvent[] =>
+  chunks.flatMap((chunk) => parser.feed(chunk));
+
+describe('SSEParser', () => {
+  it('should complete an event at a blank line', () => {
+    expect(parse(['event: text\ndata: hello\n\n'])).toEqual([
+      { id: '', event: 'text', data: 'hello' },
+    ]);
+  });
+
+  it('should accept CRLF, LF and CR line endings', () => {
+    const events = parse(['data: a\r\n\r\ndata: b\n\ndata: c\r\r']);
+    expect(events.map((event) => event.data)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('should treat a CRLF split between chunks as one line break', () => {
+    // Read as two line breaks, the LF would complete the event early and the
+    // second blank line would be lost
+    const events = parse(['data: a\r', '\ndata: b\r', '\n\r', '\n']);
+    expect(events).toEqual([{ id: '', event: 'message', data: 'a\nb' }]);
+  });
+
+  it('should keep a line split in the middle until it ends', () => {
+    const events = parse(['da', 'ta: hel', 'lo', '\n', '\n']);
+    expect(events).toEqual([{ id: '', event: 'message', data: 'hello' }]);
+  });
+
+  it('should end a line at a CR that ends a chunk', () => {
+    const parser = new SSEParser();
+    expect(parser.feed('data: a\r')).toEqual([]);
+    expect(parser.feed('\r')).toEqual([{ id: '', event: 'message', data: 'a' }]);
+  });
+
+  it('should join data lines with newlines', () => {
+    expect(parse(['data: one\ndata:two\ndata\n\n'])[0].data).toBe('one\ntwo\n');
+  });
+
+  it('should skip comments and events without data', () => {
+    expect(parse([': heartbeat\n\nevent: empty\n\n'])).toEqual([]);
+  });
+
+  it('should keep the last event id and the retry delay', () => {
+    const parser = new SSEParser();
+    const events = parse(['id: 1\nretry: 3000\ndata: a\n\ndata: b\n\nid: bad\0id\nretry: soon\ndata: c\n\n'], parser);
+
+    expect(events.map((event) => event.id)).toEqual(['1', '1', '1']);
+    expect(parser.lastEventId).toBe('1');
+    expect(parser.retry).toBe(3000);
+  });
+
+  it('should strip a byte order mark only at the start of the stream', () => {
+    const events = parse(['\uFEFFdata: a\n\n', '\uFEFFdata: b\n\n']);
+    expect(events.map((event) => event.data)).toEqual(['a']);
+  });
+
+  it('should drop a partial event on reset', () => {
+    const parser = new SSEParser();
+    parser.feed('data: partial\n');
+    parser.reset();
+    expect(parser.feed('data: next\n\n')).toEqual([{ id: '', event: 'message', data: 'next' }]);
+  });
+});
+
+describe('readEventStream', () => {
+  it('should yield events from byte chunks split anywhere', async () => {
+    const bytes = new TextEncoder().encode('event: text\r\ndata: héllo\r\n\r\nevent: done\r\ndata: {}\r\n\r\n');
+    // Splits inside the CRLFs and inside the two bytes of é
+    const cuts = [0, 12, 21, 30, bytes.length];
+    const body = new ReadableStream<Uint8Array>({
+      start(controller) {
+        for (let i = 1; i < cuts.length; i++) {
+          controller.enqueue(bytes.slice(cuts[i - 1], cuts[i]));
+        }
+        controller.close();
+      },
+    });
+
+    const events: ServerSentEvent[] = [];
+    for await (const event of readEventStream(body)) {
+      events.push(event);
+    }
+
+    expect(events).toEqual([
+      { id: '', event: 'text', data: 'héllo' },
+      { id: '', event: 'done', data: '{}' },
+    ]);
+  });
+});
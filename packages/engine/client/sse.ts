@@ -0,0 +1,138 @@
+export interface ServerSentEvent {
+  // Value of the last `id:` field seen, as EventSource keeps it
+  id: string;
+  // `message` when the event has no `event:` field
+  event: string;
+  data: string;
+}
+
+/**
+ * Incremental parser for `text/event-stream`, following the WHATWG rules:
+ * lines may end in CRLF, LF or CR, `data:` lines are joined with newlines,
+ * comments are skipped and an event is complete at each blank line. Chunks
+ * may end anywhere, including in the middle of a line or a CRLF.
+ */
+class SSEParser {
+  // Id to send as Last-Event-ID when reconnecting
+  lastEventId = '';
+  // Reconnect delay requested by the server with `retry:`, if any
+  retry: number | undefined;
+
+  private pending = '';
+  private event = '';
+  private data: string[] = [];
+  private started = false;
+  // A chunk ended in CR, so a LF starting the next one belongs to the same line break
+  private skipLineFeed = false;
+
+  /**
+   * Parses the next chunk and returns the events it completed.
+   */
+  feed(chunk: string): ServerSentEvent[] {
+    if (!this.started && chunk.length > 0) {
+      this.started = true;
+      if (chunk.charCodeAt(0) === 0xfeff) chunk = chunk.slice(1);
+    }
+    if (this.skipLineFeed && chunk.startsWith('\n')) {
+      chunk = chunk.slice(1);
+    }
+    this.skipLineFeed = false;
+
+    const events: ServerSentEvent[] = [];
+    const text = this.pending + chunk;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char !== '\r' && char !== '\n') continue;
+
+      const event = this.processLine(text.slice(start, i));
+      if (event) events.push(event);
+      if (char === '\r') {
+        if (i + 1 === text.length) {
+          this.skipLineFeed = true;
+        } else if (text[i + 1] === '\n') {
+          i++;
+        }
+      }
+      start = i + 1;
+    }
+    this.pending = text.slice(start);
+    return events;
+  }
+
+  /**
+   * Drops a partial event at the end of the stream, as EventSource does.
+   */
+  reset() {
+    this.pending = '';
+    this.event = '';
+    this.data = [];
+    this.skipLineFeed = false;
+  }
+
+  private processLine(line: string): ServerSentEvent | undefined {
+    if (line === '') {
+      return this.dispatch();
+    }
+    if (line.startsWith(':')) return;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    switch (field) {
+      case 'event':
+        this.event = value;
+        break;
+      case 'data':
+        this.data.push(value);
+        break;
+      case 'id':
+        if (!value.includes('\0')) this.lastEventId = value;
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) this.retry = Number(value);
+        break;
+      default:
+        break;
+    }
+  }
+
+  private dispatch(): ServerSentEvent | undefined {
+    const event = this.event || 'message';
+    const data = this.data;
+    this.event = '';
+    this.data = [];
+    if (data.length === 0) return;
+    return { id: this.lastEventId, event, data: data.join('\n') };
+  }
+}
+
+/**
+ * Reads a `text/event-stream` body, such as `response.body` of a fetch, and
+ * yields its events. Works with any WHATWG ReadableStream, in Node and
+ * browsers. The parser is passed in when the caller needs its `lastEventId`
+ * or `retry` afterwards.
+ */
+async function* readEventStream(
+  body: ReadableStream<Uint8Array>,
+  parser: SSEParser = new SSEParser(),
+): AsyncGenerator<ServerSentEvent, void, unknown> {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      yield* parser.feed(decoder.decode(value, { stream: true }));
+    }
+    yield* parser.feed(decoder.decode());
+    parser.reset();
+  } finally {
+    reader.cancel().catch(() => {});
+    reader.releaseLock();
+  }
+}
+
+export { readEventStream, SSEParser };
@@ -1,4 +1,14 @@
 export * from './api/stream.js';
+export * from './client/index.js';
+export * from './services/containerPool.js';
+export * from './services/containerRuntime.js';
 export * from './services/dockerEngine.js';
 export * from './services/engine.js';
-
+export * from './services/mentions.js';
+export * from './services/securityProfile.js';
+export * from './services/sessionStore.js';
+export * from './server/auth.js';
+export * from './server/openai.js';
+export * from './server/routes.js';
+export * from './server/rpc.js';
+export * from './server/sessions.js';
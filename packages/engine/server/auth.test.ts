@@ -0,0 +1,240 @@
+import { once } from 'node:events';
+import { mkdirSync, mkdtempSync, rmSync, symlinkSync } from 'node:fs';
+import type { AddressInfo } from 'node:net';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import express, { type Request, type RequestHandler, type Response } from 'express';
+import { afterAll, afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import type { EngineConfig } from '../services/engine.js';
+import { authenticate, AuthOptions, authorizeSessionConfig, ClientPolicy, keepRawBody, signRequest } from './auth.js';
+import { sessionRouter } from './routes.js';
+import { SessionManager } from './sessions.js';
+
+const NOW = Date.UTC(2025, 0, 1);
+
+interface Answer {
+  passed: boolean;
+  status?: number;
+  headers: Record<string, string>;
+  body?: unknown;
+  client?: unknown;
+}
+
+// Runs the middleware on a fake request and records how it answered
+const call = (middleware: RequestHandler, authorization: string | undefined, { method = 'POST', url = '/sessions', body = '' } = {}): Answer => {
+  const answer: Answer = { passed: false, headers: {} };
+  const req = { headers: { authorization }, method, originalUrl: url, rawBody: body } as unknown as Request;
+  const res = {
+    locals: {},
+    setHeader: (name: string, value: string) => {
+      answer.headers[name] = value;
+    },
+    status: (status: number) => {
+      answer.status = status;
+      return { json: (json: unknown) => (answer.body = json) };
+    },
+  } as unknown as Response;
+  middleware(req, res, () => {
+    answer.passed = true;
+    answer.client = res.locals.client;
+  });
+  return answer;
+};
+
+const run = (options: AuthOptions, authorization: string | undefined, request?: Parameters<typeof call>[2]) =>
+  call(authenticate(options), authorization, request);
+
+const sessionConfig = (fields: Omit<EngineConfig, 'debug'>): EngineConfig => ({ ...fields, debug: false });
+
+const signed = (secret: string, timestamp: number, method: string, url: string, body: string, keyId = 'editor') =>
+  `HMAC-SHA256 keyId=${keyId},timestamp=${timestamp},signature=${signRequest(secret, String(timestamp), method, url, body)}`;
+
+describe('authenticate', () => {
+  const options: AuthOptions = {
+    clients: {
+      editor: { secret: 'editor-secret', roots: ['/workspace'] },
+      script: { token: 'script-token', roots: ['/workspace'] },
+    },
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should accept a known bearer token', () => {
+    const answer = run(options, 'Bearer script-token');
+    expect(answer.passed).toBe(true);
+    expect(answer.client).toEqual({ id: 'script', policy: options.clients.script });
+  });
+
+  it('should answer 401 without or with unknown credentials', () => {
+    expect(run(options, undefined)).toMatchObject({ passed: false, status: 401, body: { error: 'Missing Authorization header' } });
+    const answer = run(options, 'Bearer guessed');
+    expect(answer).toMatchObject({ passed: false, status: 401, body: { error: 'Invalid credentials' } });
+    expect(answer.headers['WWW-Authenticate']).toBe('Bearer, HMAC-SHA256');
+  });
+
+  it('should accept a request signed with the client secret', () => {
+    const body = '{"dir":"/workspace/app"}';
+    const answer = run(options, signed('editor-secret', NOW, 'POST', '/sessions?x=1', body), { url: '/sessions?x=1', body });
+    expect(answer.passed).toBe(true);
+    expect(answer.client).toMatchObject({ id: 'editor' });
+  });
+
+  it('should reject a signature over another body, path, method or secret', () => {
+    const body = '{"dir":"/workspace/app"}';
+    const tampered = [
+      run(options, signed('editor-secret', NOW, 'POST', '/sessions', body), { body: '{"dir":"/"}' }),
+      run(options, signed('editor-secret', NOW, 'POST', '/sessions', body), { url: '/sessions/other', body }),
+      run(options, signed('editor-secret', NOW, 'POST', '/sessions', body), { method: 'DELETE', body }),
+      run(options, signed('wrong-secret', NOW, 'POST', '/sessions', body), { body }),
+      run(options, signed('editor-secret', NOW, 'POST', '/sessions', body, 'script'), { body }),
+    ];
+    expect(tampered.map((answer) => answer.status)).toEqual([401, 401, 401, 401, 401]);
+  });
+
+  it('should reject signed requests outside the allowed clock skew', () => {
+    const skew = 5 * 60 * 1000;
+    expect(run(options, signed('editor-secret', NOW - skew, 'POST', '/sessions', '')).passed).toBe(true);
+    expect(run(options, signed('editor-secret', NOW + skew, 'POST', '/sessions', '')).passed).toBe(true);
+    expect(run(options, signed('editor-secret', NOW - skew - 1, 'POST', '/sessions', '')).status).toBe(401);
+    expect(run(options, signed('editor-secret', NOW + skew + 1, 'POST', '/sessions', '')).status).toBe(401);
+
+    const strict = { ...options, maxClockSkewMs: 1000 };
+    expect(run(strict, signed('editor-secret', NOW - 1001, 'POST', '/sessions', '')).status).toBe(401);
+  });
+
+  it('should reject timestamps that are not plain milliseconds', () => {
+    const signature = signRequest('editor-secret', `${NOW}.0`, 'POST', '/sessions', '');
+    const answer = run(options, `HMAC-SHA256 keyId=editor,timestamp=${NOW}.0,signature=${signature}`);
+    expect(answer.status).toBe(401);
+  });
+
+  it('should limit each client to its requests per minute', () => {
+    const limited: AuthOptions = {
+      clients: {
+        a: { token: 'a', roots: ['/workspace'], requestsPerMinute: 2 },
+        b: { token: 'b', roots: ['/workspace'], requestsPerMinute: 2 },
+      },
+    };
+    const middleware = authenticate(limited);
+    // One middleware, so requests share its buckets
+    const request = (token: string) => call(middleware, `Bearer ${token}`, { method: 'GET' });
+
+    expect(request('a').passed).toBe(true);
+    expect(request('a').passed).toBe(true);
+    const limitedAnswer = request('a');
+    expect(limitedAnswer.status).toBe(429);
+    // One request comes back every 30 seconds at 2 per minute
+    expect(limitedAnswer.headers['Retry-After']).toBe('30');
+    // Buckets are per client
+    expect(request('b').passed).toBe(true);
+
+    vi.advanceTimersByTime(15_000);
+    expect(request('a').headers['Retry-After']).toBe('15');
+    vi.advanceTimersByTime(15_000);
+    expect(request('a').passed).toBe(true);
+    expect(request('a').status).toBe(429);
+
+    // The bucket refills up to one minute's worth, not more
+    vi.advanceTimersByTime(10 * 60_000);
+    expect([request('a').passed, request('a').passed, request('a').passed]).toEqual([true, true, false]);
+  });
+});
+
+describe('authorizeSessionConfig', () => {
+  const base = mkdtempSync(path.join(tmpdir(), 'engine-auth-'));
+  const root = path.join(base, 'root');
+  const outside = path.join(base, 'outside');
+  mkdirSync(path.join(root, 'project'), { recursive: true });
+  mkdirSync(outside);
+  symlinkSync(outside, path.join(root, 'escape'));
+  const policy: ClientPolicy = { roots: [root] };
+
+  afterAll(() => {
+    rmSync(base, { recursive: true, force: true });
+  });
+
+  it('should allow directories inside a root', () => {
+    const config = sessionConfig({ dir: path.join(root, 'project'), sessionDir: path.join(root, 'sessions') });
+    expect(authorizeSessionConfig(config, policy)).toEqual({ config });
+  });
+
+  it('should reject directories outside every root', () => {
+    expect(authorizeSessionConfig(sessionConfig({ dir: outside }), policy)).toHaveProperty('error');
+    expect(authorizeSessionConfig(sessionConfig({ dir: path.join(root, '..', 'outside') }), policy)).toHaveProperty('error');
+    expect(authorizeSessionConfig(sessionConfig({ dir: path.join(root, 'project'), sessionDir: outside }), policy)).toHaveProperty('error');
+  });
+
+  it('should follow symlinks before checking the root', () => {
+    const result = authorizeSessionConfig(sessionConfig({ dir: path.join(root, 'escape') }), policy);
+    expect(result).toEqual({ error: `Directory ${path.join(root, 'escape')} is outside the allowed roots` });
+  });
+
+  it('should only allow plain context file names', () => {
+    const dir = path.join(root, 'project');
+    expect(authorizeSessionConfig(sessionConfig({ dir, contextFileName: ['AGENTS.md', 'GEMINI.md'] }), policy)).toHaveProperty('config');
+    for (const contextFileName of ['../../../../etc/passwd', '/etc/passwd', 'docs/GEMINI.md', '..', ['GEMINI.md', '../secret']]) {
+      expect(authorizeSessionConfig(sessionConfig({ dir, contextFileName }), policy)).toEqual({ error: '"contextFileName" must be plain file names' });
+    }
+  });
+
+  it('should not let clients set the process-wide proxy', () => {
+    const result = authorizeSessionConfig(sessionConfig({ dir: path.join(root, 'project'), proxy: 'http://proxy:8080' }), policy);
+    expect(result).toEqual({ error: '"proxy" is not allowed for this client' });
+  });
+
+  it('should not let clients set the process-wide telemetry or usage statistics', () => {
+    const dir = path.join(root, 'project');
+    expect(authorizeSessionConfig(sessionConfig({ dir, telemetry: { enabled: true, logPrompts: true } }), policy)).toEqual({
+      error: '"telemetry" is not allowed for this client',
+    });
+    // Turning them off is a process-wide choice too
+    expect(authorizeSessionConfig(sessionConfig({ dir, usageStatisticsEnabled: false }), policy)).toEqual({
+      error: '"usageStatisticsEnabled" is not allowed for this client',
+    });
+  });
+
+  it('should answer 403 when a client creates a session with process-wide fields', async () => {
+    const sessions = new SessionManager();
+    const app = express();
+    app.use(express.json({ verify: keepRawBody }));
+    app.use(authenticate({ clients: { script: { token: 'script-token', roots: [root] } } }));
+    app.use('/sessions', sessionRouter(sessions));
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    try {
+      const response = await fetch(`http://127.0.0.1:${(server.address() as AddressInfo).port}/sessions`, {
+        method: 'POST',
+        headers: { Authorization: 'Bearer script-token', 'Content-Type': 'application/json' },
+        body: JSON.stringify({ dir: path.join(root, 'project'), debug: false, telemetry: { enabled: true } }),
+      });
+      expect(response.status).toBe(403);
+      expect(await response.json()).toEqual({ error: '"telemetry" is not allowed for this client' });
+      expect(sessions.size()).toBe(0);
+    } finally {
+      server.close();
+      await sessions.close();
+    }
+  });
+
+  it('should reject commands unless the client may run them', () => {
+    const config = sessionConfig({ dir: path.join(root, 'project'), mcpServerCommand: 'server' });
+    expect(authorizeSessionConfig(config, policy)).toEqual({ error: '"mcpServerCommand" is not allowed for this client' });
+    expect(authorizeSessionConfig(config, { ...policy, allowCommands: true })).toEqual({ config });
+  });
+
+  it('should narrow tools to those the client may use', () => {
+    const dir = path.join(root, 'project');
+    const limited = { ...policy, tools: ['read_file', 'run_shell_command'] };
+    expect(authorizeSessionConfig(sessionConfig({ dir }), limited)).toEqual({ config: { dir, debug: false, coreTools: ['read_file', 'run_shell_command'] } });
+    expect(authorizeSessionConfig(sessionConfig({ dir, coreTools: ['run_shell_command(git)'] }), limited)).toHaveProperty('config');
+    expect(authorizeSessionConfig(sessionConfig({ dir, coreTools: ['write_file'] }), limited)).toEqual({ error: 'Tools not allowed for this client: write_file' });
+  });
+});
@@ -0,0 +1,209 @@
+import { isWithinRoot } from '@google/gemini-cli-core';
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+import { realpathSync } from 'node:fs';
+import path from 'node:path';
+import { IncomingMessage } from 'node:http';
+import { RequestHandler, Response } from 'express';
+import { EngineConfig } from '../services/engine.js';
+
+export interface ClientPolicy {
+  // Directories the client may create sessions in, including subdirectories
+  roots: string[];
+  // Tools sessions of this client may use. All tools when omitted
+  tools?: string[];
+  // Requests allowed per minute. Unlimited when omitted
+  requestsPerMinute?: number;
+  // Whether sessions may configure commands or MCP servers, which run arbitrary programs
+  allowCommands?: boolean;
+}
+
+export interface ClientCredentials extends ClientPolicy {
+  // Static token sent as `Authorization: Bearer <token>`
+  token?: string;
+  // Secret for HMAC-signed requests, see signRequest
+  secret?: string;
+}
+
+export interface AuthOptions {
+  // Keyed by client name, which is also the key id of signed requests
+  clients: Record<string, ClientCredentials>;
+  // How old a signed request may be. Default: 5 minutes
+  maxClockSkewMs?: number;
+}
+
+export interface AuthenticatedClient {
+  id: string;
+  policy: ClientPolicy;
+}
+
+const DEFAULT_MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Fields that make the engine run programs of the client's choosing
+const COMMAND_FIELDS = ['toolDiscoveryCommand', 'toolCallCommand', 'mcpServerCommand', 'mcpServers'] as const;
+// Fields that apply to every session in the process, so only the server sets them
+const PROCESS_FIELDS = ['proxy', 'telemetry', 'usageStatisticsEnabled'] as const;
+
+// Context files are looked up by name in each directory above the project,
+// so anything but a plain file name could read files outside the roots
+const isPlainFileName = (name: unknown) =>
+  typeof name === 'string' && name === path.basename(name) && name !== '.' && name !== '..';
+
+// Hashing first makes the comparison constant-time regardless of length
+const safeEqual = (a: string, b: string) =>
+  timingSafeEqual(createHash('sha256').update(a).digest(), createHash('sha256').update(b).digest());
+
+/**
+ * Computes the signature of a request: the hex HMAC-SHA256 of
+ * `<timestamp>\n<METHOD>\n<path with query>\n<raw body>` keyed with the client secret.
+ */
+const signRequest = (secret: string, timestamp: string, method: string, url: string, body: string): string =>
+  createHmac('sha256', secret).update(`${timestamp}\n${method.toUpperCase()}\n${url}\n${body}`).digest('hex');
+
+/**
+ * Keeps the raw request body for signature checks. Pass as the `verify`
+ * option of `express.json()`.
+ */
+const keepRawBody = (req: IncomingMessage, _res: unknown, buffer: Buffer) => {
+  (req as IncomingMessage & { rawBody?: string }).rawBody = buffer.toString('utf-8');
+}
+
+/**
+ * Token bucket per client, refilled continuously up to one minute's worth of requests.
+ */
+class RateLimiter {
+  private buckets = new Map<string, { tokens: number; updatedAt: number }>();
+
+  // Returns 0 if the request may proceed, otherwise the seconds to wait
+  take(clientId: string, requestsPerMinute: number): number {
+    const now = Date.now();
+    const bucket = this.buckets.get(clientId) ?? { tokens: requestsPerMinute, updatedAt: now };
+    bucket.tokens = Math.min(requestsPerMinute, bucket.tokens + ((now - bucket.updatedAt) / 60_000) * requestsPerMinute);
+    bucket.updatedAt = now;
+    this.buckets.set(clientId, bucket);
+
+    if (bucket.tokens < 1) {
+      return Math.ceil(((1 - bucket.tokens) / requestsPerMinute) * 60);
+    }
+    bucket.tokens -= 1;
+    return 0;
+  }
+}
+
+/**
+ * Express middleware that accepts bearer tokens or HMAC-signed requests
+ * (`Authorization: HMAC-SHA256 keyId=<client>,timestamp=<ms>,signature=<hex>`)
+ * and applies the client's rate limit. The client is stored in
+ * `res.locals.client`. Answers 401 for missing or bad credentials and 429
+ * with Retry-After when over the limit.
+ */
+const authenticate = (options: AuthOptions): RequestHandler => {
+  const limiter = new RateLimiter();
+  const maxClockSkewMs = options.maxClockSkewMs ?? DEFAULT_MAX_CLOCK_SKEW_MS;
+
+  const fromBearer = (token: string): AuthenticatedClient | null => {
+    for (const [id, client] of Object.entries(options.clients)) {
+      if (client.token && safeEqual(client.token, token)) {
+        return { id, policy: client };
+      }
+    }
+    return null;
+  };
+
+  const fromSignature = (params: string, method: string, url: string, body: string): AuthenticatedClient | null => {
+    const fields = Object.fromEntries(params.split(',').map((field) => {
+      const [key, ...value] = field.trim().split('=');
+      return [key, value.join('=')];
+    }));
+    const { keyId, timestamp, signature } = fields;
+    const client = keyId ? options.clients[keyId] : undefined;
+    if (!client?.secret || !timestamp || !signature) return null;
+    if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() - Number(timestamp)) > maxClockSkewMs) return null;
+    if (!safeEqual(signRequest(client.secret, timestamp, method, url, body), signature)) return null;
+    return { id: keyId, policy: client };
+  };
+
+  return (req, res, next) => {
+    const header = req.headers.authorization ?? '';
+    const [scheme, ...rest] = header.split(' ');
+    const credentials = rest.join(' ');
+
+    let client: AuthenticatedClient | null = null;
+    if (scheme === 'Bearer' && credentials) {
+      client = fromBearer(credentials);
+    } else if (scheme === 'HMAC-SHA256' && credentials) {
+      const body = (req as typeof req & { rawBody?: string }).rawBody ?? '';
+      client = fromSignature(credentials, req.method, req.originalUrl, body);
+    }
+
+    if (!client) {
+      res.setHeader('WWW-Authenticate', 'Bearer, HMAC-SHA256');
+      res.status(401).json({ error: header ? 'Invalid credentials' : 'Missing Authorization header' });
+      return;
+    }
+
+    if (client.policy.requestsPerMinute !== undefined) {
+      const retryAfter = limiter.take(client.id, client.policy.requestsPerMinute);
+      if (retryAfter > 0) {
+        res.setHeader('Retry-After', String(retryAfter));
+        res.status(429).json({ error: `Rate limit of ${client.policy.requestsPerMinute} requests per minute exceeded` });
+        return;
+      }
+    }
+
+    res.locals.client = client;
+    next();
+  };
+}
+
+// Follows symlinks, so a link inside a root can't point outside it
+const realPath = (dir: string): string => {
+  try {
+    return realpathSync(path.resolve(dir));
+  } catch {
+    return path.resolve(dir);
+  }
+}
+
+const clientOf = (res: Response): AuthenticatedClient | undefined => res.locals.client;
+
+/**
+ * Checks a session config against a client policy and narrows its tools to
+ * the allowed ones. Returns the config to create the session with, or a
+ * reason to answer 403 with.
+ */
+const authorizeSessionConfig = (config: EngineConfig, policy: ClientPolicy): { config: EngineConfig } | { error: string } => {
+  const allowedRoot = (dir: string) => policy.roots.some((root) => isWithinRoot(realPath(dir), realPath(root)));
+
+  if (typeof config.dir !== 'string' || !allowedRoot(config.dir)) {
+    return { error: `Directory ${config.dir} is outside the allowed roots` };
+  }
+  if (config.sessionDir !== undefined && (typeof config.sessionDir !== 'string' || !allowedRoot(config.sessionDir))) {
+    return { error: `Session directory ${config.sessionDir} is outside the allowed roots` };
+  }
+  if (config.contextFileName !== undefined && ![config.contextFileName].flat().every(isPlainFileName)) {
+    return { error: '"contextFileName" must be plain file names' };
+  }
+  const processField = PROCESS_FIELDS.find((name) => config[name] !== undefined);
+  if (processField) {
+    return { error: `"${processField}" is not allowed for this client` };
+  }
+  if (!policy.allowCommands) {
+    const field = COMMAND_FIELDS.find((name) => config[name] !== undefined);
+    if (field) {
+      return { error: `"${field}" is not allowed for this client` };
+    }
+  }
+
+  if (!policy.tools) {
+    return { config };
+  }
+  const requested = Array.isArray(config.coreTools) ? config.coreTools : policy.tools;
+  // `run_shell_command` also allows narrower entries such as `run_shell_command(git)`
+  const denied = requested.filter((tool) => !policy.tools!.includes(tool) && !policy.tools!.includes(tool.split('(')[0]));
+  if (denied.length > 0) {
+    return { error: `Tools not allowed for this client: ${denied.join(', ')}` };
+  }
+  return { config: { ...config, coreTools: requested } };
+}
+
+export { authenticate, authorizeSessionConfig, clientOf, keepRawBody, signRequest };
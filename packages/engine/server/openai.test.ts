@@ -0,0 +1,102 @@
+import { once } from 'node:events';
+import type { AddressInfo } from 'node:net';
+import { FinishReason } from '@google/genai';
+import express from 'express';
+import { afterEach, describe, expect, it } from 'vitest';
+import { emptyUsage, EngineEvent, EngineService, StreamOptions } from '../services/engine.js';
+import { ChatMessage, openAIRouter, toEngineRequest } from './openai.js';
+import type { SessionManager } from './sessions.js';
+
+const done: EngineEvent = { type: 'done', data: { finishReason: FinishReason.STOP, turns: 1, usage: emptyUsage() } };
+
+// The parts of a completion or error body the tests look at
+interface CompletionBody {
+  model: string;
+  choices: { message: { role: string; content: string } }[];
+  error: { code: string; message: string };
+}
+
+// An engine that answers every prompt with `events` and records how it was called
+const fakeEngine = (events: EngineEvent[]) => {
+  const calls: { prompt: unknown; context?: string; options: StreamOptions }[] = [];
+  const engine = {
+    getSessionId: () => 'session',
+    getModel: () => 'gemini-2.5-flash',
+    wouldRejectPrompt: () => false,
+    async *streamWithToolEvents(prompt: unknown, context: string | undefined, options: StreamOptions) {
+      calls.push({ prompt, context, options });
+      for (const event of events) {
+        if (options.signal?.aborted) return;
+        yield event;
+      }
+    },
+  };
+  return { engine: engine as unknown as EngineService, calls };
+};
+
+describe('openAIRouter', () => {
+  let server: ReturnType<express.Express['listen']> | undefined;
+
+  afterEach(() => {
+    server?.close();
+    server = undefined;
+  });
+
+  const complete = async (engine: EngineService, body: Record<string, unknown>) => {
+    const sessions = { get: () => engine, list: () => [{ sessionId: 'session' }] } as unknown as SessionManager;
+    const app = express();
+    app.use(express.json());
+    app.use('/v1', openAIRouter(sessions));
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const response = await fetch(`http://127.0.0.1:${(server.address() as AddressInfo).port}/v1/chat/completions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: (await response.json()) as CompletionBody };
+  };
+
+  it('should hand the history to the prompt rather than set it up front', async () => {
+    const { engine, calls } = fakeEngine([{ type: 'text', data: 'Hi' }, done]);
+    const messages: ChatMessage[] = [
+      { role: 'system', content: 'Be brief' },
+      { role: 'user', content: 'Hello' },
+      { role: 'assistant', content: 'Hello!' },
+      { role: 'user', content: 'How are you?' },
+    ];
+
+    const { status, body } = await complete(engine, { messages });
+
+    expect(status).toBe(200);
+    expect(body.choices[0].message).toEqual({ role: 'assistant', content: 'Hi' });
+    expect(calls).toHaveLength(1);
+    expect(calls[0]).toMatchObject({ prompt: 'How are you?', context: 'Be brief', options: { history: toEngineRequest(messages).history } });
+  });
+
+  it('should ignore model names that are not Gemini models and report the one that answered', async () => {
+    const { engine, calls } = fakeEngine([done]);
+    const openAIModel = await complete(engine, { model: 'gpt-4o', messages: [{ role: 'user', content: 'Hi' }] });
+    expect(calls[0].options.model).toBeUndefined();
+    expect(openAIModel.body.model).toBe('gemini-2.5-flash');
+
+    const geminiModel = await complete(engine, { model: 'gemini-2.5-pro', messages: [{ role: 'user', content: 'Hi' }] });
+    expect(calls[1].options.model).toBe('gemini-2.5-pro');
+    expect(geminiModel.body.model).toBe('gemini-2.5-pro');
+  });
+
+  it('should fail a completion that needs a confirmation instead of waiting for it', async () => {
+    const { engine, calls } = fakeEngine([
+      { type: 'tool_request', data: { callId: 'call-1', name: 'write_file', args: {} } },
+      { type: 'tool_confirmation', data: { callId: 'call-1', name: 'write_file', args: {}, details: { type: 'info', title: 'Write', prompt: 'Write it?' } } },
+      done,
+    ]);
+
+    const { status, body } = await complete(engine, { messages: [{ role: 'user', content: 'Write it' }] });
+
+    expect(status).toBe(409);
+    expect(body.error).toMatchObject({ code: 'confirmation_required', message: expect.stringContaining('write_file') });
+    // The prompt is cancelled rather than left waiting
+    expect(calls[0].options.signal?.aborted).toBe(true);
+  });
+});
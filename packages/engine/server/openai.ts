@@ -0,0 +1,378 @@
+import { SchemaValidator } from '@google/gemini-cli-core';
+import { Content, FinishReason, Part } from '@google/genai';
+import { Request, Response, Router } from 'express';
+import { randomUUID } from 'node:crypto';
+import { DoneData, EngineService, ErrorData, ModelUsage } from '../services/engine.js';
+import { clientOf } from './auth.js';
+import { SessionManager } from './sessions.js';
+
+export interface ChatMessage {
+  role: 'system' | 'developer' | 'user' | 'assistant' | 'tool';
+  content?: string | { type: string; text?: string }[] | null;
+  tool_calls?: ChatToolCall[];
+  tool_call_id?: string;
+}
+
+export interface ChatToolCall {
+  id: string;
+  type: 'function';
+  function: { name: string; arguments: string };
+}
+
+export interface ChatCompletionRequest {
+  messages: ChatMessage[];
+  // Gemini model for this request only. Other names, such as OpenAI models
+  // that clients send by default, leave the session's model in place
+  model?: string;
+  stream?: boolean;
+  stream_options?: { include_usage?: boolean };
+}
+
+export interface OpenAIRouterOptions {
+  // How tools run by the engine are reported: as `tool_calls` of the assistant
+  // message, or as Markdown notes in its content. Default: 'tool_calls'
+  toolEvents?: 'tool_calls' | 'content';
+}
+
+type OpenAIFinishReason = 'stop' | 'length' | 'content_filter';
+
+const chatCompletionSchema = {
+  type: 'object',
+  required: ['messages'],
+  properties: {
+    messages: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['role'],
+        properties: {
+          role: { type: 'string', enum: ['system', 'developer', 'user', 'assistant', 'tool'] },
+          tool_call_id: { type: 'string' },
+          tool_calls: { type: 'array' },
+        },
+      },
+    },
+    model: { type: 'string' },
+    stream: { type: 'boolean' },
+    stream_options: { type: 'object' },
+  },
+};
+
+const openAIError = (res: Response, status: number, message: string, type = 'invalid_request_error', code?: string) => {
+  res.status(status).json({ error: { message, type, code: code ?? null, param: null } });
+}
+
+// Upstream failures other than bad requests and rate limits are the server's problem, not the client's
+const errorStatus = (error: ErrorData) => {
+  switch (error.code) {
+    case 'rate_limited':
+      return 429;
+    case 'busy':
+      return 409;
+    case 'invalid_request':
+      return 400;
+    case 'not_found':
+      return 404;
+    default:
+      return error.status ? 502 : 500;
+  }
+}
+
+const toFinishReason = (reason: DoneData['finishReason']): OpenAIFinishReason => {
+  switch (reason) {
+    case FinishReason.MAX_TOKENS:
+      return 'length';
+    case FinishReason.SAFETY:
+    case FinishReason.RECITATION:
+    case FinishReason.BLOCKLIST:
+    case FinishReason.PROHIBITED_CONTENT:
+    case FinishReason.SPII:
+      return 'content_filter';
+    default:
+      return 'stop';
+  }
+}
+
+const toUsage = (usage: ModelUsage) => ({
+  prompt_tokens: usage.promptTokens,
+  completion_tokens: usage.candidateTokens + usage.thoughtTokens,
+  total_tokens: usage.totalTokens,
+  prompt_tokens_details: { cached_tokens: usage.cachedTokens },
+});
+
+const textOf = (content: ChatMessage['content']): string => {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.map((part) => {
+    if (part.type !== 'text' || typeof part.text !== 'string') {
+      throw new Error(`Unsupported content part type: ${part.type}`);
+    }
+    return part.text;
+  }).join('');
+}
+
+const parseArguments = (args: string): Record<string, unknown> => {
+  try {
+    const parsed = JSON.parse(args || '{}');
+    return typeof parsed === 'object' && parsed !== null ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Splits chat messages into the engine's history, the system context and the
+ * prompt, which is the last message and must come from the user. Assistant
+ * tool calls without a matching tool message are dropped, since Gemini
+ * requires every function call to be answered.
+ */
+const toEngineRequest = (messages: ChatMessage[]): { history: Content[]; context?: string; prompt: string } => {
+  const last = messages[messages.length - 1];
+  if (last?.role !== 'user') {
+    throw new Error('The last message must have the role "user"');
+  }
+
+  const answered = new Set(messages.filter((message) => message.role === 'tool').map((message) => message.tool_call_id));
+  const toolNames = new Map<string, string>();
+  const system: string[] = [];
+  const history: Content[] = [];
+
+  const append = (role: 'user' | 'model', parts: Part[]) => {
+    const previous = history[history.length - 1];
+    if (previous?.role === role) {
+      previous.parts!.push(...parts);
+    } else {
+      history.push({ role, parts });
+    }
+  };
+
+  for (const message of messages.slice(0, -1)) {
+    switch (message.role) {
+      case 'system':
+      case 'developer':
+        system.push(textOf(message.content));
+        break;
+      case 'user':
+        append('user', [{ text: textOf(message.content) }]);
+        break;
+      case 'assistant': {
+        const parts: Part[] = [];
+        const text = textOf(message.content);
+        if (text) {
+          parts.push({ text });
+        }
+        for (const call of message.tool_calls ?? []) {
+          if (!answered.has(call.id)) continue;
+          toolNames.set(call.id, call.function.name);
+          parts.push({ functionCall: { id: call.id, name: call.function.name, args: parseArguments(call.function.arguments) } });
+        }
+        if (parts.length > 0) {
+          append('model', parts);
+        }
+        break;
+      }
+      case 'tool': {
+        const name = message.tool_call_id ? toolNames.get(message.tool_call_id) : undefined;
+        if (!name) {
+          throw new Error(`Tool message ${message.tool_call_id} does not answer an earlier tool call`);
+        }
+        append('user', [{ functionResponse: { id: message.tool_call_id, name, response: { output: textOf(message.content) } } }]);
+        break;
+      }
+    }
+  }
+
+  return {
+    history,
+    context: system.length > 0 ? system.join('\n\n') : undefined,
+    prompt: textOf(last.content),
+  };
+}
+
+/**
+ * Routes speaking the OpenAI chat completions protocol, mounted at /v1. Each
+ * request replaces the session's history with its `messages` and runs the
+ * last one as the prompt, so existing OpenAI clients and SDKs can talk to the
+ * engine. The session is chosen with an `X-Session-Id` header, or is the only
+ * session of the client.
+ */
+const openAIRouter = (sessions: SessionManager, options: OpenAIRouterOptions = {}): Router => {
+  const router = Router();
+  const toolEvents = options.toolEvents ?? 'tool_calls';
+
+  const sessionOf = (req: Request, res: Response): EngineService | undefined => {
+    const owner = clientOf(res)?.id;
+    const sessionId = req.header('x-session-id');
+    if (sessionId) {
+      const engine = sessions.get(sessionId, owner);
+      if (!engine) openAIError(res, 404, `Session ${sessionId} not found`, 'invalid_request_error', 'session_not_found');
+      return engine;
+    }
+
+    const all = sessions.list(owner);
+    if (all.length === 1) {
+      return sessions.get(all[0].sessionId, owner);
+    }
+    openAIError(res, 400, all.length === 0 ? 'No session exists, create one with POST /sessions' : 'X-Session-Id is required when several sessions exist');
+    return undefined;
+  };
+
+  router.post('/chat/completions', async (req, res) => {
+    const body = req.body as ChatCompletionRequest & { tools?: unknown[] };
+    if (typeof body !== 'object' || body === null || !SchemaValidator.validate(chatCompletionSchema, body)) {
+      return openAIError(res, 400, 'Request body is not a valid chat completion request');
+    }
+    if (Array.isArray(body.tools) && body.tools.length > 0) {
+      return openAIError(res, 400, 'Client-side tools are not supported, the engine runs its own tools');
+    }
+
+    const engine = sessionOf(req, res);
+    if (!engine) return;
+    if (engine.wouldRejectPrompt()) {
+      return openAIError(res, 409, `Session ${engine.getSessionId()} is already running a prompt`);
+    }
+
+    let request: ReturnType<typeof toEngineRequest>;
+    try {
+      request = toEngineRequest(body.messages);
+    } catch (error) {
+      return openAIError(res, 400, error instanceof Error ? error.message : String(error));
+    }
+
+    // The client disconnecting stops generation and running tools
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) abortController.abort();
+    });
+
+    const id = `chatcmpl-${randomUUID()}`;
+    const created = Math.floor(Date.now() / 1000);
+    const geminiModel = body.model?.startsWith('gemini-') ? body.model : undefined;
+    // The model that answers, not the one the client asked for
+    const model = geminiModel ?? engine.getModel();
+    // The history is swapped in once the prompt has its turn, never under a running one
+    const events = () => engine.streamWithToolEvents(request.prompt, request.context, {
+      model: geminiModel,
+      includeThoughts: false,
+      history: request.history,
+      signal: abortController.signal,
+    });
+
+    // Tools the engine ran, in a form OpenAI clients render as part of the answer
+    const annotate = (text: string) => `\n\n> ${text}\n\n`;
+
+    if (!body.stream) {
+      let content = '';
+      const toolCalls: ChatToolCall[] = [];
+      try {
+        for await (const event of events()) {
+          switch (event.type) {
+            case 'text':
+              content += event.data;
+              break;
+            case 'tool_request':
+              if (toolEvents === 'tool_calls') {
+                const { callId, name, args } = event.data;
+                toolCalls.push({ id: callId, type: 'function', function: { name, arguments: JSON.stringify(args) } });
+              } else {
+                content += annotate(`🔧 \`${event.data.name}\` ${JSON.stringify(event.data.args)}`);
+              }
+              break;
+            case 'tool_error':
+              if (toolEvents === 'content') content += annotate(`❌ \`${event.data.name}\` failed: ${event.data.error}`);
+              break;
+            case 'tool_confirmation':
+              // Nobody could confirm it before the answer is sent, so the prompt would wait forever
+              abortController.abort();
+              return openAIError(
+                res,
+                409,
+                `\`${event.data.name}\` needs confirmation, which only streaming requests can wait for. Use approvalMode 'yolo' for this session or stream: true`,
+                'invalid_request_error',
+                'confirmation_required',
+              );
+            case 'error':
+              return openAIError(res, errorStatus(event.data), event.data.message, 'api_error', event.data.code);
+            case 'done':
+              if (event.data.finishReason === 'CANCELLED') return;
+              res.json({
+                id,
+                object: 'chat.completion',
+                created,
+                model,
+                choices: [{
+                  index: 0,
+                  message: { role: 'assistant', content, ...(toolCalls.length > 0 && { tool_calls: toolCalls }) },
+                  finish_reason: toFinishReason(event.data.finishReason),
+                }],
+                usage: toUsage(event.data.usage),
+              });
+              return;
+          }
+        }
+      } catch (error) {
+        openAIError(res, 500, error instanceof Error ? error.message : String(error), 'api_error');
+      }
+      return;
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+
+    const send = (data: unknown) => {
+      if (!res.destroyed) res.write(`data: ${JSON.stringify(data)}\n\n`);
+    };
+    const sendChunk = (delta: Record<string, unknown>, finishReason: OpenAIFinishReason | null = null) =>
+      send({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta, finish_reason: finishReason }] });
+
+    sendChunk({ role: 'assistant', content: '' });
+    let toolCallIndex = 0;
+    try {
+      for await (const event of events()) {
+        switch (event.type) {
+          case 'text':
+            sendChunk({ content: event.data });
+            break;
+          case 'tool_request':
+            if (toolEvents === 'tool_calls') {
+              const { callId, name, args } = event.data;
+              sendChunk({
+                tool_calls: [{ index: toolCallIndex++, id: callId, type: 'function', function: { name, arguments: JSON.stringify(args) } }],
+              });
+            } else {
+              sendChunk({ content: annotate(`🔧 \`${event.data.name}\` ${JSON.stringify(event.data.args)}`) });
+            }
+            break;
+          case 'tool_error':
+            if (toolEvents === 'content') sendChunk({ content: annotate(`❌ \`${event.data.name}\` failed: ${event.data.error}`) });
+            break;
+          case 'tool_confirmation':
+            sendChunk({ content: annotate(`⏸️ \`${event.data.name}\` awaits confirmation of call \`${event.data.callId}\``) });
+            break;
+          case 'error':
+            send({ error: { message: event.data.message, type: 'api_error', code: event.data.code, param: null } });
+            break;
+          case 'done':
+            if (event.data.finishReason === 'ERROR' || event.data.finishReason === 'CANCELLED') break;
+            sendChunk({}, toFinishReason(event.data.finishReason));
+            if (body.stream_options?.include_usage) {
+              send({ id, object: 'chat.completion.chunk', created, model, choices: [], usage: toUsage(event.data.usage) });
+            }
+            break;
+        }
+      }
+    } catch (error) {
+      send({ error: { message: error instanceof Error ? error.message : String(error), type: 'api_error', code: 'internal', param: null } });
+    } finally {
+      if (!res.destroyed) {
+        res.write('data: [DONE]\n\n');
+        res.end();
+      }
+    }
+  });
+
+  return router;
+}
+
+export { openAIRouter, toEngineRequest };
@@ -0,0 +1,295 @@
+import { SchemaValidator } from '@google/gemini-cli-core';
+import { Content } from '@google/genai';
+import { NextFunction, Request, RequestHandler, Response, Router } from 'express';
+import { stream } from '../api/stream.js';
+import { EngineConfig, EngineService, toErrorData, ToolConfirmationOutcome } from '../services/engine.js';
+import { authorizeSessionConfig, clientOf } from './auth.js';
+import { SessionError, SessionManager } from './sessions.js';
+
+const errorMessage = (error: unknown) => error instanceof Error ? error.message : String(error);
+
+// Gemini contents, as GET /sessions/:id/history returns them
+const historySchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['role', 'parts'],
+    properties: {
+      role: { type: 'string', enum: ['user', 'model'] },
+      parts: { type: 'array' },
+    },
+  },
+};
+
+/**
+ * JSON schemas of the request bodies accepted by the session routes.
+ */
+const schemas = {
+  createSession: {
+    type: 'object',
+    required: ['dir'],
+    properties: {
+      dir: { type: 'string' },
+      sessionId: { type: 'string' },
+      model: { type: 'string' },
+      approvalMode: { type: 'string', enum: ['default', 'autoEdit', 'yolo'] },
+      queuePolicy: { type: 'string', enum: ['queue', 'reject'] },
+      debug: { type: 'boolean' },
+    },
+  },
+  // `prompt` is text or Gemini parts
+  stream: {
+    type: 'object',
+    required: ['prompt'],
+    properties: {
+      prompt: {},
+      context: { type: 'string' },
+      model: { type: 'string' },
+      includeThoughts: { type: 'boolean' },
+      history: historySchema,
+    },
+  },
+  confirm: {
+    type: 'object',
+    required: ['callId', 'outcome'],
+    properties: {
+      callId: { type: 'string' },
+      outcome: { type: 'string', enum: Object.values(ToolConfirmationOutcome) },
+    },
+  },
+  setHistory: {
+    type: 'object',
+    required: ['history'],
+    properties: {
+      history: historySchema,
+    },
+  },
+  // Tool calls take the tool's own parameter schema, see GET /sessions/:id/tools
+  executeTool: {
+    type: 'object',
+  },
+};
+
+const isObject = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Answers 400 with the schema when the body does not match it
+const validateBody = (schema: Record<string, unknown>): RequestHandler => (req, res, next) => {
+  if (!isObject(req.body) || !SchemaValidator.validate(schema, req.body)) {
+    res.status(400).json({ error: 'Request body does not match the schema', schema });
+    return;
+  }
+  next();
+}
+
+const isContent = (value: unknown): value is Content =>
+  isObject(value) && (value.role === 'user' || value.role === 'model') && Array.isArray(value.parts);
+
+/**
+ * Routes for creating, inspecting and using sessions, mounted at /sessions.
+ */
+const sessionRouter = (sessions: SessionManager): Router => {
+  const router = Router();
+
+  // Resolves :id to its engine, or answers 404. Sessions of other clients look missing.
+  const withSession = (req: Request, res: Response, next: NextFunction) => {
+    const engine = sessions.get(req.params.id, clientOf(res)?.id);
+    if (!engine) {
+      res.status(404).json({ error: `Session ${req.params.id} not found` });
+      return;
+    }
+    res.locals.engine = engine;
+    next();
+  };
+  const engineOf = (res: Response) => res.locals.engine as EngineService;
+
+  // Changing history under a running stream would interleave the two
+  const whenIdle = (req: Request, res: Response, next: NextFunction) => {
+    if (engineOf(res).isStreaming()) {
+      res.status(409).json({ error: `Session ${req.params.id} is streaming` });
+      return;
+    }
+    next();
+  };
+
+  // Sessions with queuePolicy 'reject' refuse a second prompt before the stream
+  // opens. Reconnects resume the running prompt instead of sending one.
+  const acceptsPrompt = (req: Request, res: Response, next: NextFunction) => {
+    if (!req.headers['last-event-id'] && engineOf(res).wouldRejectPrompt()) {
+      res.status(409).json({ error: `Session ${req.params.id} is already running a prompt` });
+      return;
+    }
+    next();
+  };
+
+  router.post('/', validateBody(schemas.createSession), (req, res) => {
+    const client = clientOf(res);
+    let config = req.body as EngineConfig;
+    if (client) {
+      const authorized = authorizeSessionConfig(config, client.policy);
+      if ('error' in authorized) {
+        res.status(403).json({ error: authorized.error });
+        return;
+      }
+      config = authorized.config;
+    }
+
+    try {
+      const engine = sessions.create(config, client?.id);
+      res.status(201).json(sessions.info(engine.getSessionId()));
+    } catch (error) {
+      res.status(error instanceof SessionError ? error.status : 400).json({ error: errorMessage(error) });
+    }
+  });
+
+  router.get('/', (req, res) => {
+    res.json(sessions.list(clientOf(res)?.id));
+  });
+
+  router.get('/:id', withSession, (req, res) => {
+    res.json(sessions.info(req.params.id));
+  });
+
+  router.delete('/:id', withSession, async (req, res) => {
+    await sessions.delete(req.params.id);
+    res.status(204).end();
+  });
+
+  router.post('/:id/stream', withSession, acceptsPrompt, validateBody(schemas.stream), (req, res) => {
+    const { prompt, context, model, includeThoughts, history } = req.body;
+    stream(res, engineOf(res), prompt, true, context, { model, includeThoughts, history });
+  });
+
+  // For EventSource clients, which can only GET. Reconnects carry Last-Event-ID
+  // and resume the running stream instead of sending the prompt again.
+  router.get('/:id/stream', withSession, acceptsPrompt, (req, res) => {
+    const { prompt, context } = req.query as { prompt?: string; context?: string };
+    stream(res, engineOf(res), prompt ?? '', true, context);
+  });
+
+  // The answer only, without tools, as EngineService.stream gives it: `text`
+  // events, then `done` or `error`. Closing the connection cancels it.
+  router.post('/:id/generate', withSession, acceptsPrompt, validateBody(schemas.stream), async (req, res) => {
+    const { prompt, context, model, history } = req.body;
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) abortController.abort();
+    });
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    const send = (event: string, data: unknown) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    try {
+      for await (const text of engineOf(res).stream(prompt, context, { model, history, signal: abortController.signal })) {
+        send('text', text);
+      }
+      send('done', {});
+    } catch (error) {
+      send('error', toErrorData(error));
+    }
+    res.end();
+  });
+
+  router.post('/:id/confirm', withSession, validateBody(schemas.confirm), async (req, res) => {
+    const { callId, outcome } = req.body as { callId: string; outcome: ToolConfirmationOutcome };
+    try {
+      await engineOf(res).respondToConfirmation(callId, outcome);
+      res.status(204).end();
+    } catch (error) {
+      res.status(400).json({ error: errorMessage(error) });
+    }
+  });
+
+  router.post('/:id/cancel', withSession, (req, res) => {
+    engineOf(res).abort();
+    res.status(204).end();
+  });
+
+  router.get('/:id/history', withSession, async (req, res) => {
+    try {
+      res.json(await engineOf(res).getHistory());
+    } catch (error) {
+      res.status(500).json({ error: errorMessage(error) });
+    }
+  });
+
+  router.put('/:id/history', withSession, whenIdle, validateBody(schemas.setHistory), async (req, res) => {
+    const { history } = req.body as { history: unknown[] };
+    if (!history.every(isContent)) {
+      res.status(400).json({ error: 'Request body does not match the schema', schema: schemas.setHistory });
+      return;
+    }
+    try {
+      await engineOf(res).setHistory(history);
+      res.status(204).end();
+    } catch (error) {
+      res.status(500).json({ error: errorMessage(error) });
+    }
+  });
+
+  router.delete('/:id/history', withSession, whenIdle, async (req, res) => {
+    try {
+      await engineOf(res).clearHistory();
+      res.status(204).end();
+    } catch (error) {
+      res.status(500).json({ error: errorMessage(error) });
+    }
+  });
+
+  router.get('/:id/tools', withSession, async (req, res) => {
+    try {
+      res.json(await engineOf(res).getTools());
+    } catch (error) {
+      res.status(500).json({ error: errorMessage(error) });
+    }
+  });
+
+  router.post('/:id/tools/:name', withSession, validateBody(schemas.executeTool), async (req, res) => {
+    const engine = engineOf(res);
+    const { name } = req.params;
+    try {
+      const tools = await engine.getTools();
+      const tool = tools.find((declaration) => declaration.name === name);
+      if (!tool) {
+        res.status(404).json({ error: `Tool ${name} not found` });
+        return;
+      }
+      const invalid = await engine.validateToolParams(name, req.body);
+      if (invalid) {
+        res.status(400).json({ error: invalid, schema: tool.parameters });
+        return;
+      }
+      res.json(await engine.executeTool(name, req.body));
+    } catch (error) {
+      res.status(500).json({ error: errorMessage(error) });
+    }
+  });
+
+  router.get('/:id/memory', withSession, async (req, res) => {
+    try {
+      // Context files are loaded on first use
+      await engineOf(res).initialize();
+      res.json({ content: engineOf(res).getMemoryContent() });
+    } catch (error) {
+      res.status(500).json({ error: errorMessage(error) });
+    }
+  });
+
+  router.post('/:id/compress', withSession, whenIdle, async (req, res) => {
+    try {
+      const info = await engineOf(res).compressHistory();
+      if (!info) {
+        res.status(204).end();
+        return;
+      }
+      res.json(info);
+    } catch (error) {
+      res.status(500).json({ error: errorMessage(error) });
+    }
+  });
+
+  return router;
+}
+
+export { errorMessage, schemas, sessionRouter };
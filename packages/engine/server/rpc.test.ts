@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { MessageReader } from './rpc.js';
+
+const frame = (content: string) => `Content-Length: ${Buffer.byteLength(content, 'utf-8')}\r\n\r\n${content}`;
+
+// A reader that records what it reads
+const createReader = () => {
+  const messages: string[] = [];
+  const errors: Error[] = [];
+  const reader = new MessageReader((content) => messages.push(content), (error) => errors.push(error));
+  return { reader, messages, errors };
+};
+
+describe('MessageReader', () => {
+  it('should read a framed message', () => {
+    const { reader, messages } = createReader();
+    reader.push(Buffer.from(frame('{"id":1}')));
+    expect(messages).toEqual(['{"id":1}']);
+  });
+
+  it('should read several messages from one chunk', () => {
+    const { reader, messages } = createReader();
+    reader.push(Buffer.from(frame('{"id":1}') + frame('{"id":2}') + frame('{"id":3}')));
+    expect(messages).toEqual(['{"id":1}', '{"id":2}', '{"id":3}']);
+  });
+
+  it('should wait for headers and bodies split across chunks', () => {
+    const { reader, messages } = createReader();
+    const bytes = Buffer.from(frame('{"method":"session/create"}'));
+    for (const byte of bytes) {
+      reader.push(Buffer.from([byte]));
+    }
+    expect(messages).toEqual(['{"method":"session/create"}']);
+  });
+
+  it('should count Content-Length in bytes, not characters', () => {
+    const { reader, messages } = createReader();
+    const content = '{"prompt":"héllo ✓"}';
+    const bytes = Buffer.from(frame(content) + frame('{}'));
+    // Split inside the three bytes of ✓
+    const cut = bytes.indexOf(Buffer.from('✓')) + 1;
+    reader.push(bytes.subarray(0, cut));
+    expect(messages).toEqual([]);
+    reader.push(bytes.subarray(cut));
+    expect(messages).toEqual([content, '{}']);
+  });
+
+  it('should accept other headers in any case', () => {
+    const { reader, messages } = createReader();
+    const content = '{"id":1}';
+    reader.push(Buffer.from(`content-type: application/vscode-jsonrpc; charset=utf-8\r\ncontent-length: ${content.length}\r\n\r\n${content}`));
+    expect(messages).toEqual([content]);
+  });
+
+  it('should report a header without Content-Length and read on', () => {
+    const { reader, messages, errors } = createReader();
+    reader.push(Buffer.from(`Content-Type: application/json\r\n\r\n${frame('{"id":2}')}`));
+    expect(errors.map((error) => error.message)).toEqual(['Message without Content-Length header']);
+    expect(messages).toEqual(['{"id":2}']);
+  });
+});
@@ -0,0 +1,296 @@
+import { SchemaValidator } from '@google/gemini-cli-core';
+import type { Content } from '@google/genai';
+import { Readable, Writable } from 'node:stream';
+import { EngineConfig, EngineEvent, ToolConfirmationOutcome } from '../services/engine.js';
+import { errorMessage, schemas } from './routes.js';
+import { SessionError, SessionManager } from './sessions.js';
+
+export type RpcId = number | string;
+
+export interface RpcRequest {
+  jsonrpc: '2.0';
+  id?: RpcId | null;
+  method: string;
+  params?: unknown;
+}
+
+export interface RpcErrorObject {
+  code: number;
+  message: string;
+  data?: unknown;
+}
+
+// Params of the `event/<type>` notifications sent while a prompt runs
+export interface RpcEventParams {
+  sessionId: string;
+  // Id of the session/prompt request the event belongs to
+  requestId: RpcId;
+  data: EngineEvent['data'];
+}
+
+export interface RpcServerOptions {
+  sessions?: SessionManager;
+  debug?: boolean;
+}
+
+// Standard JSON-RPC codes, plus the LSP code for cancelled requests
+const RpcErrorCode = {
+  ParseError: -32700,
+  InvalidRequest: -32600,
+  MethodNotFound: -32601,
+  InvalidParams: -32602,
+  InternalError: -32603,
+  ServerError: -32000,
+  RequestCancelled: -32800,
+} as const;
+
+class RpcError extends Error {
+  constructor(readonly code: number, message: string, readonly data?: unknown) {
+    super(message);
+    this.name = 'RpcError';
+  }
+}
+
+const HEADER_SEPARATOR = '\r\n\r\n';
+
+/**
+ * Splits a byte stream into messages framed like LSP:
+ * `Content-Length: <bytes>\r\n\r\n<JSON>`.
+ */
+class MessageReader {
+  private buffer = Buffer.alloc(0);
+
+  constructor(private onMessage: (content: string) => void, private onError: (error: Error) => void) {}
+
+  push(chunk: Buffer) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    while (true) {
+      const headerEnd = this.buffer.indexOf(HEADER_SEPARATOR);
+      if (headerEnd === -1) return;
+
+      const headers = this.buffer.subarray(0, headerEnd).toString('ascii');
+      const match = /^content-length:\s*(\d+)\s*$/im.exec(headers);
+      if (!match) {
+        // Without a length the rest of the stream can't be framed, so drop the header and go on
+        this.buffer = this.buffer.subarray(headerEnd + HEADER_SEPARATOR.length);
+        this.onError(new Error('Message without Content-Length header'));
+        continue;
+      }
+
+      const start = headerEnd + HEADER_SEPARATOR.length;
+      const end = start + Number(match[1]);
+      if (this.buffer.length < end) return;
+
+      const content = this.buffer.subarray(start, end).toString('utf-8');
+      this.buffer = this.buffer.subarray(end);
+      this.onMessage(content);
+    }
+  }
+}
+
+const sessionIdSchema = {
+  type: 'object',
+  required: ['sessionId'],
+  properties: { sessionId: { type: 'string' } },
+};
+
+const paramsSchemas: Record<string, Record<string, unknown>> = {
+  'session/create': schemas.createSession,
+  'session/delete': sessionIdSchema,
+  'session/prompt': {
+    ...schemas.stream,
+    required: ['sessionId', 'prompt'],
+    properties: { ...schemas.stream.properties, sessionId: { type: 'string' }, model: { type: 'string' } },
+  },
+  'session/cancel': sessionIdSchema,
+  'session/approve': {
+    ...schemas.confirm,
+    required: ['sessionId', 'callId', 'outcome'],
+    properties: { ...schemas.confirm.properties, sessionId: { type: 'string' } },
+  },
+};
+
+/**
+ * JSON-RPC 2.0 transport over a pair of byte streams, for editors that spawn
+ * the engine as a child process. Prompts answer with the `done` data once the
+ * stream ends and send every other engine event as an `event/<type>`
+ * notification. `$/cancelRequest` cancels a running prompt.
+ */
+class RpcServer {
+  private sessions: SessionManager;
+  private ownsSessions: boolean;
+  private debug: boolean;
+  // Running requests that can be cancelled, by request id
+  private running = new Map<RpcId, AbortController>();
+  private isClosed = false;
+
+  constructor(private input: Readable, private output: Writable, options: RpcServerOptions = {}) {
+    this.sessions = options.sessions ?? new SessionManager({ debug: options.debug });
+    this.ownsSessions = !options.sessions;
+    this.debug = options.debug ?? false;
+
+    const reader = new MessageReader(
+      (content) => this.receive(content),
+      (error) => this.send({ jsonrpc: '2.0', id: null, error: { code: RpcErrorCode.ParseError, message: error.message } }),
+    );
+    input.on('data', (chunk: Buffer) => reader.push(chunk));
+  }
+
+  /**
+   * Stops answering, cancels running prompts and, unless a SessionManager was
+   * passed in, disposes all sessions.
+   */
+  async close(): Promise<void> {
+    if (this.isClosed) return;
+    this.isClosed = true;
+    this.input.removeAllListeners('data');
+    this.running.forEach((controller) => controller.abort());
+    if (this.ownsSessions) {
+      await this.sessions.close();
+    }
+  }
+
+  /**
+   * Sends a notification that is not tied to a request.
+   */
+  notify(method: string, params?: unknown) {
+    this.send({ jsonrpc: '2.0', method, params });
+  }
+
+  private send(message: Record<string, unknown>) {
+    if (this.isClosed || this.output.destroyed) return;
+    const content = JSON.stringify(message);
+    this.output.write(`Content-Length: ${Buffer.byteLength(content, 'utf-8')}${HEADER_SEPARATOR}${content}`);
+  }
+
+  private receive(content: string) {
+    let message: unknown;
+    try {
+      message = JSON.parse(content);
+    } catch (error) {
+      this.send({ jsonrpc: '2.0', id: null, error: { code: RpcErrorCode.ParseError, message: errorMessage(error) } });
+      return;
+    }
+
+    // Batches are answered message by message, which JSON-RPC allows
+    for (const request of Array.isArray(message) ? message : [message]) {
+      this.handle(request as RpcRequest);
+    }
+  }
+
+  private async handle(request: RpcRequest) {
+    const id = request?.id;
+    const isNotification = id === undefined;
+    if (request?.jsonrpc !== '2.0' || typeof request.method !== 'string') {
+      this.send({ jsonrpc: '2.0', id: id ?? null, error: { code: RpcErrorCode.InvalidRequest, message: 'Invalid request' } });
+      return;
+    }
+    if (this.debug) {
+      console.error(`📨 ${request.method}${isNotification ? '' : ` (${id})`}`);
+    }
+
+    try {
+      const result = await this.dispatch(request);
+      if (!isNotification) {
+        this.send({ jsonrpc: '2.0', id, result: result ?? null });
+      }
+    } catch (error) {
+      if (isNotification) {
+        console.error(`❌ Notification ${request.method} failed:`, errorMessage(error));
+        return;
+      }
+      const rpcError: RpcErrorObject = error instanceof RpcError
+        ? { code: error.code, message: error.message, data: error.data }
+        : error instanceof SessionError
+          ? { code: RpcErrorCode.ServerError, message: error.message, data: { status: error.status } }
+          : { code: RpcErrorCode.InternalError, message: errorMessage(error) };
+      this.send({ jsonrpc: '2.0', id, error: rpcError });
+    }
+  }
+
+  private async dispatch({ id, method, params }: RpcRequest): Promise<unknown> {
+    const schema = paramsSchemas[method];
+    if (schema && (typeof params !== 'object' || params === null || !SchemaValidator.validate(schema, params))) {
+      throw new RpcError(RpcErrorCode.InvalidParams, `Invalid params for ${method}`, { schema });
+    }
+    const args = params as Record<string, string>;
+
+    switch (method) {
+      case '$/cancelRequest': {
+        const requestId = (params as { id?: RpcId } | undefined)?.id;
+        if (requestId !== undefined) {
+          this.running.get(requestId)?.abort();
+        }
+        return;
+      }
+      case 'session/create': {
+        try {
+          const engine = this.sessions.create(params as EngineConfig);
+          return this.sessions.info(engine.getSessionId());
+        } catch (error) {
+          // Anything but a session conflict or limit is a bad config
+          if (error instanceof SessionError) throw error;
+          throw new RpcError(RpcErrorCode.InvalidParams, errorMessage(error));
+        }
+      }
+      case 'session/list':
+        return this.sessions.list();
+      case 'session/delete':
+        return this.sessions.delete(args.sessionId);
+      case 'session/prompt':
+        return this.prompt(id, params as Record<string, unknown>);
+      case 'session/cancel':
+        this.engine(args.sessionId).abort();
+        return;
+      case 'session/approve':
+        await this.engine(args.sessionId).respondToConfirmation(args.callId, args.outcome as ToolConfirmationOutcome);
+        return;
+      default:
+        throw new RpcError(RpcErrorCode.MethodNotFound, `Method ${method} not found`);
+    }
+  }
+
+  private engine(sessionId: string) {
+    const engine = this.sessions.get(sessionId);
+    if (!engine) {
+      throw new RpcError(RpcErrorCode.InvalidParams, `Session ${sessionId} not found`);
+    }
+    return engine;
+  }
+
+  private async prompt(id: RpcId | null | undefined, params: Record<string, unknown>) {
+    if (id === undefined || id === null) {
+      throw new RpcError(RpcErrorCode.InvalidRequest, 'session/prompt must be sent as a request');
+    }
+    if (this.running.has(id)) {
+      throw new RpcError(RpcErrorCode.InvalidRequest, `Request ${id} is already running`);
+    }
+
+    const sessionId = params.sessionId as string;
+    const engine = this.engine(sessionId);
+    const abortController = new AbortController();
+    this.running.set(id, abortController);
+
+    try {
+      const options = {
+        model: params.model as string | undefined,
+        includeThoughts: params.includeThoughts as boolean | undefined,
+        history: params.history as Content[] | undefined,
+        signal: abortController.signal,
+      };
+      for await (const event of engine.streamWithToolEvents(params.prompt as string, params.context as string | undefined, options)) {
+        if (event.type !== 'done') {
+          this.notify(`event/${event.type}`, { sessionId, requestId: id, data: event.data } satisfies RpcEventParams);
+        } else if (event.data.finishReason === 'CANCELLED' && abortController.signal.aborted) {
+          throw new RpcError(RpcErrorCode.RequestCancelled, 'Request cancelled', event.data);
+        } else {
+          return event.data;
+        }
+      }
+    } finally {
+      this.running.delete(id);
+    }
+  }
+}
+
+export { MessageReader, RpcError, RpcErrorCode, RpcServer };
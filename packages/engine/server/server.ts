@@ -1,26 +1,157 @@
-import express from 'express';
+import express, { Request, Response } from 'express';
+import { readFileSync } from 'node:fs';
 import { stream } from '../api/stream.js';
-import { createEngine, EngineConfig, EngineService } from '../services/engine.js';
+import { EngineConfig, EngineService, ToolConfirmationOutcome } from '../services/engine.js';
+import { authenticate, AuthOptions, authorizeSessionConfig, clientOf, keepRawBody } from './auth.js';
+import { openAIRouter } from './openai.js';
+import { errorMessage, sessionRouter } from './routes.js';
+import { SessionError, SessionManager } from './sessions.js';
 
 const port = process.env.PORT || 5000;
 
+// Reads an optional environment variable that must be a positive integer,
+// failing at startup rather than with the first request
+const positiveIntegerEnv = (name: string): number | undefined => {
+  const value = process.env[name];
+  if (!value) return undefined;
+  if (!/^\d+$/.test(value) || Number(value) <= 0) {
+    throw new Error(`${name} must be a positive integer, got "${value}"`);
+  }
+  return Number(value);
+}
+
+const sessions = new SessionManager({
+  maxSessions: positiveIntegerEnv('MAX_SESSIONS'),
+  idleTimeoutMs: positiveIntegerEnv('SESSION_IDLE_TIMEOUT_MS'),
+  debug: process.env.DEBUG === 'true',
+});
+
 const app = express();
-app.use(express.json());
+app.use(express.json({ verify: keepRawBody }));
+
+// Any request, health checks included, counts as activity for IDLE_SHUTDOWN_MS
+let lastRequestAt = Date.now();
+app.use((req, res, next) => {
+  lastRequestAt = Date.now();
+  next();
+});
+
+app.get('/docker/health', (req, res) => {
+  res.status(200).json({ status: 'healthy', sessions: sessions.size() });
+})
+
+// Everything but the health check requires credentials when AUTH_CONFIG
+// points to a JSON file of AuthOptions
+if (process.env.AUTH_CONFIG) {
+  const authOptions = JSON.parse(readFileSync(process.env.AUTH_CONFIG, 'utf-8')) as AuthOptions;
+  app.use(authenticate(authOptions));
+  console.log(`Authentication enabled for ${Object.keys(authOptions.clients).length} client(s)`);
+}
+
+app.use('/sessions', sessionRouter(sessions));
+if (process.env.OPENAI_COMPAT) {
+  app.use('/v1', openAIRouter(sessions, { toolEvents: process.env.OPENAI_TOOL_EVENTS === 'content' ? 'content' : 'tool_calls' }));
+}
+
+// The /docker routes serve DockerEngineService, which runs one session per
+// container. They take an optional sessionId and fall back to the only session.
+const dockerSession = (req: Request, res: Response): EngineService | undefined => {
+  const owner = clientOf(res)?.id;
+  const sessionId = req.body?.sessionId ?? req.query.sessionId;
+  if (typeof sessionId === 'string') {
+    const engine = sessions.get(sessionId, owner);
+    if (!engine) res.status(404).send(`Session ${sessionId} not found`);
+    return engine;
+  }
+
+  const all = sessions.list(owner);
+  if (all.length === 1) {
+    return sessions.get(all[0].sessionId, owner);
+  }
+  res.status(400).send(all.length === 0 ? 'Engine not initialized' : 'sessionId is required when several sessions exist');
+  return undefined;
+}
 
-let engine: EngineService | null = null;
+// Sessions with queuePolicy 'reject' refuse a second prompt before the stream
+// opens. Reconnects resume the running prompt instead of sending one.
+const rejectsPrompt = (req: Request, res: Response, engine: EngineService): boolean => {
+  if (!req.headers['last-event-id'] && engine.wouldRejectPrompt()) {
+    res.status(409).send('Session is already running a prompt');
+    return true;
+  }
+  return false;
+}
 
 app.post('/docker/create', (req, res) => {
-  engine = createEngine(req.body as EngineConfig);
-  res.end();
+  const client = clientOf(res);
+  let config = req.body as EngineConfig;
+  if (client) {
+    const authorized = authorizeSessionConfig(config, client.policy);
+    if ('error' in authorized) {
+      return res.status(403).send(authorized.error);
+    }
+    config = authorized.config;
+  }
+
+  try {
+    const engine = sessions.create(config, client?.id);
+    res.json({ sessionId: engine.getSessionId() });
+  } catch (error) {
+    res.status(error instanceof SessionError ? error.status : 400).send(errorMessage(error));
+  }
 });
 
 app.post('/docker/stream', (req, res) => {
-  if (!engine) return res.status(400).send('Engine not initialized');
-  stream(res, engine, req.body.prompt, true, req.body.context);
+  const engine = dockerSession(req, res);
+  if (!engine || rejectsPrompt(req, res, engine)) return;
+  stream(res, engine, req.body.prompt, true, req.body.context, { includeThoughts: req.body.includeThoughts });
 });
 
-app.get('/docker/health', (req, res) => {
-  res.status(200).json({ status: 'healthy' });
-})
+app.get('/docker/stream', (req, res) => {
+  const engine = dockerSession(req, res);
+  if (!engine || rejectsPrompt(req, res, engine)) return;
+  const { prompt, context } = req.query as { prompt?: string; context?: string };
+  stream(res, engine, prompt ?? '', true, context);
+});
+
+app.post('/docker/confirm', async (req, res) => {
+  const engine = dockerSession(req, res);
+  if (!engine) return;
+  const { callId, outcome } = req.body as { callId: string; outcome: ToolConfirmationOutcome };
+  try {
+    await engine.respondToConfirmation(callId, outcome);
+    res.end();
+  } catch (error) {
+    res.status(400).send(errorMessage(error));
+  }
+});
+
+app.post('/docker/cancel', (req, res) => {
+  const engine = dockerSession(req, res);
+  if (!engine) return;
+  engine.abort();
+  res.end();
+});
+
+const server = app.listen(port, () => console.log(`Server running on port ${port}`));
+
+const shutdown = () => {
+  server.close();
+  sessions.close().finally(() => process.exit(0));
+}
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
 
-app.listen(port, () => console.log(`Server running on port ${port}`)); 
\ No newline at end of file
+// Containers set IDLE_SHUTDOWN_MS so they stop by themselves when the host
+// that started them is gone. Running streams count as activity
+const idleShutdownMs = positiveIntegerEnv('IDLE_SHUTDOWN_MS');
+if (idleShutdownMs) {
+  setInterval(() => {
+    if (sessions.list().some((session) => session.streaming)) {
+      lastRequestAt = Date.now();
+    } else if (Date.now() - lastRequestAt > idleShutdownMs) {
+      console.log(`No requests for ${idleShutdownMs} ms, shutting down`);
+      shutdown();
+    }
+  }, Math.min(idleShutdownMs, 60_000)).unref();
+}
@@ -0,0 +1,16 @@
+import { describe, expect, it } from 'vitest';
+import { SessionManager } from './sessions.js';
+
+describe('SessionManager', () => {
+  it('should require a positive integer session limit and idle timeout', () => {
+    for (const options of [{ maxSessions: 0 }, { maxSessions: 2.5 }, { maxSessions: NaN }, { idleTimeoutMs: -1 }, { idleTimeoutMs: NaN }]) {
+      expect(() => new SessionManager(options)).toThrow('must be a positive integer');
+    }
+  });
+
+  it('should start with the defaults', async () => {
+    const sessions = new SessionManager();
+    expect(sessions.size()).toBe(0);
+    await sessions.close();
+  });
+});
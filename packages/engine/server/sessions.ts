@@ -0,0 +1,167 @@
+import { createEngine, EngineConfig, EngineService } from '../services/engine.js';
+
+export interface SessionManagerOptions {
+  // Sessions that may exist at once. Default: 50
+  maxSessions?: number;
+  // Sessions unused for this long are disposed. Default: 30 minutes
+  idleTimeoutMs?: number;
+  debug?: boolean;
+}
+
+export interface SessionInfo {
+  sessionId: string;
+  dir: string;
+  model: string;
+  createdAt: string;
+  lastActiveAt: string;
+  streaming: boolean;
+}
+
+interface Session {
+  engine: EngineService;
+  // Authenticated client that created the session, if the server requires auth
+  owner?: string;
+  createdAt: Date;
+  lastActiveAt: Date;
+}
+
+/**
+ * Error with the HTTP status the server should answer with.
+ */
+class SessionError extends Error {
+  constructor(message: string, readonly status: number) {
+    super(message);
+    this.name = 'SessionError';
+  }
+}
+
+const DEFAULT_MAX_SESSIONS = 50;
+const DEFAULT_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+// Upper bound on how often idle sessions are looked for
+const MAX_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Keeps one EngineService per session, so a single server can host many users.
+ * Idle sessions are disposed, which stops their tools and MCP servers.
+ */
+class SessionManager {
+  private sessions = new Map<string, Session>();
+  private maxSessions: number;
+  private idleTimeoutMs: number;
+  private debug: boolean;
+  private sweepTimer: NodeJS.Timeout;
+
+  constructor(options: SessionManagerOptions = {}) {
+    this.maxSessions = options.maxSessions ?? DEFAULT_MAX_SESSIONS;
+    this.idleTimeoutMs = options.idleTimeoutMs ?? DEFAULT_IDLE_TIMEOUT_MS;
+    // NaN or 0 would refuse every session or sweep without pause
+    for (const [name, value] of Object.entries({ maxSessions: this.maxSessions, idleTimeoutMs: this.idleTimeoutMs })) {
+      if (!Number.isInteger(value) || value <= 0) {
+        throw new Error(`${name} must be a positive integer, got ${value}`);
+      }
+    }
+    this.debug = options.debug ?? false;
+
+    this.sweepTimer = setInterval(() => {
+      this.evictIdle().catch((error) => console.error('❌ Failed to evict idle sessions:', error));
+    }, Math.min(this.idleTimeoutMs, MAX_SWEEP_INTERVAL_MS));
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Creates a session. Throws a SessionError with status 409 if the session
+   * already exists, or 429 if the session limit is reached.
+   */
+  create(config: EngineConfig, owner?: string): EngineService {
+    if (config.sessionId && this.sessions.has(config.sessionId)) {
+      throw new SessionError(`Session ${config.sessionId} already exists`, 409);
+    }
+    if (this.sessions.size >= this.maxSessions) {
+      throw new SessionError(`Session limit of ${this.maxSessions} reached`, 429);
+    }
+
+    // Sessions log like the manager unless their config says otherwise
+    const engine = createEngine({ ...config, debug: config.debug ?? this.debug });
+    const now = new Date();
+    this.sessions.set(engine.getSessionId(), { engine, owner, createdAt: now, lastActiveAt: now });
+    if (this.debug) {
+      console.log(`🗂️ Created session ${engine.getSessionId()} (${this.sessions.size}/${this.maxSessions})`);
+    }
+    return engine;
+  }
+
+  /**
+   * Returns the engine of a session and marks the session as active. With an
+   * owner, sessions of other clients are treated as missing.
+   */
+  get(sessionId: string, owner?: string): EngineService | undefined {
+    const session = this.sessions.get(sessionId);
+    if (!session || (owner !== undefined && session.owner !== owner)) return undefined;
+    session.lastActiveAt = new Date();
+    return session.engine;
+  }
+
+  info(sessionId: string): SessionInfo | undefined {
+    const session = this.sessions.get(sessionId);
+    return session && toSessionInfo(session);
+  }
+
+  list(owner?: string): SessionInfo[] {
+    return [...this.sessions.values()]
+      .filter((session) => owner === undefined || session.owner === owner)
+      .map(toSessionInfo);
+  }
+
+  size(): number {
+    return this.sessions.size;
+  }
+
+  /**
+   * Disposes a session. Returns false if it did not exist.
+   */
+  async delete(sessionId: string): Promise<boolean> {
+    const session = this.sessions.get(sessionId);
+    if (!session) return false;
+
+    this.sessions.delete(sessionId);
+    await session.engine.dispose();
+    if (this.debug) {
+      console.log(`🗂️ Deleted session ${sessionId}`);
+    }
+    return true;
+  }
+
+  /**
+   * Disposes every session and stops looking for idle ones.
+   */
+  async close(): Promise<void> {
+    clearInterval(this.sweepTimer);
+    await Promise.all([...this.sessions.keys()].map((sessionId) => this.delete(sessionId)));
+  }
+
+  private async evictIdle() {
+    const cutoff = Date.now() - this.idleTimeoutMs;
+    for (const [sessionId, session] of this.sessions) {
+      if (session.engine.isStreaming()) {
+        // A running stream counts as activity
+        session.lastActiveAt = new Date();
+      } else if (session.lastActiveAt.getTime() < cutoff) {
+        if (this.debug) {
+          console.log(`🗂️ Evicting idle session ${sessionId}`);
+        }
+        await this.delete(sessionId);
+      }
+    }
+  }
+}
+
+const toSessionInfo = ({ engine, createdAt, lastActiveAt }: Session): SessionInfo => ({
+  sessionId: engine.getSessionId(),
+  dir: engine.getDir(),
+  model: engine.getModel(),
+  createdAt: createdAt.toISOString(),
+  lastActiveAt: lastActiveAt.toISOString(),
+  streaming: engine.isStreaming(),
+});
+
+export { SessionError, SessionManager };
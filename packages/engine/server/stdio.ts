@@ -0,0 +1,13 @@
+import { RpcServer } from './rpc.js';
+
+// stdout carries the protocol, so logs of the engine and its tools go to stderr
+console.log = console.error;
+console.info = console.error;
+console.debug = console.error;
+
+const server = new RpcServer(process.stdin, process.stdout, { debug: process.env.DEBUG === 'true' });
+
+// The editor closing our stdin means it is done with us
+process.stdin.on('end', () => {
+  server.close().finally(() => process.exit(0));
+});
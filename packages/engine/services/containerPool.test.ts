@@ -0,0 +1,138 @@
+import { once } from 'node:events';
+import { createServer, Server } from 'node:http';
+import type { AddressInfo } from 'node:net';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ContainerPool, ContainerPoolOptions } from './containerPool.js';
+import { ContainerRuntime } from './containerRuntime.js';
+
+describe('ContainerPool', () => {
+  // Fake containers: an HTTP server each, answering as the engine server does
+  let containers: Map<string, { server: Server; requests: string[] }>;
+  let removed: string[];
+  let copied: string[];
+  let pool: ContainerPool | undefined;
+
+  beforeEach(() => {
+    containers = new Map();
+    removed = [];
+    copied = [];
+    vi.spyOn(ContainerRuntime.prototype, 'ensureImageExists').mockResolvedValue();
+    vi.spyOn(ContainerRuntime.prototype, 'reapOrphansOnce').mockResolvedValue([]);
+    vi.spyOn(ContainerRuntime.prototype, 'run').mockImplementation(async () => {
+      const containerId = `container-${containers.size + 1}`;
+      const requests: string[] = [];
+      const server = createServer((req, res) => {
+        requests.push(`${req.method} ${req.url}`);
+        req.resume();
+        res.writeHead(req.method === 'POST' ? 201 : 200, { 'Content-Type': 'application/json' }).end('{}');
+      });
+      server.listen(0, '127.0.0.1');
+      await once(server, 'listening');
+      containers.set(containerId, { server, requests });
+      return { containerId, url: `http://127.0.0.1:${(server.address() as AddressInfo).port}` };
+    });
+    vi.spyOn(ContainerRuntime.prototype, 'remove').mockImplementation(async (containerId) => {
+      removed.push(containerId);
+      containers.get(containerId)?.server.close();
+    });
+    vi.spyOn(ContainerRuntime.prototype, 'copyTo').mockImplementation(async (containerId, hostDir) => {
+      copied.push(`${hostDir} -> ${containerId}`);
+    });
+    vi.spyOn(ContainerRuntime.prototype, 'copyFrom').mockResolvedValue();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await pool?.close();
+    pool = undefined;
+    for (const { server } of containers.values()) {
+      server.closeAllConnections();
+      server.close();
+    }
+    vi.restoreAllMocks();
+  });
+
+  const createPool = async (options: ContainerPoolOptions = {}) => {
+    pool = new ContainerPool({ workspaceRoot: '/workspace', ...options });
+    await pool.start();
+    return pool;
+  };
+
+  // Background starts that refill the pool
+  const settled = (pool: ContainerPool) => vi.waitFor(() => expect(pool.stats().starting).toBe(0));
+
+  it('should reject sizes that do not make sense', () => {
+    expect(() => new ContainerPool({ min: 2, max: 1 })).toThrow('Invalid pool size: min 2, max 1');
+    expect(() => new ContainerPool({ max: 0 })).toThrow('Invalid pool size');
+  });
+
+  it('should start `min` containers ahead of time', async () => {
+    const pool = await createPool({ min: 2 });
+    expect(pool.stats()).toEqual({ idle: 2, busy: 0, starting: 0 });
+  });
+
+  it('should hand out an idle container and start another in its place', async () => {
+    const pool = await createPool();
+    const engine = await pool.acquire({ dir: '/workspace/app', sessionId: 'first', debug: false });
+    await settled(pool);
+
+    expect(pool.stats()).toEqual({ idle: 1, busy: 1, starting: 0 });
+    // Checked once when started and again when handed out
+    expect(containers.get('container-1')?.requests).toEqual(['GET /docker/health', 'GET /docker/health', 'POST /sessions']);
+    expect(copied).toEqual([]);
+    expect(engine.getSessionId()).toBe('first');
+  });
+
+  it('should replace a container after one session by default', async () => {
+    const pool = await createPool();
+    const engine = await pool.acquire({ dir: '/workspace/app', sessionId: 'first', debug: false });
+    await engine.kill();
+    await settled(pool);
+
+    // The session is ended before the container goes
+    expect(containers.get('container-1')?.requests.at(-1)).toBe('DELETE /sessions/first');
+    expect(removed).toEqual(['container-1']);
+    expect(pool.stats()).toEqual({ idle: 1, busy: 0, starting: 0 });
+  });
+
+  it('should reuse a container for up to maxUses sessions', async () => {
+    const pool = await createPool({ min: 1, maxUses: 2 });
+    const first = await pool.acquire({ dir: '/workspace/app', debug: false });
+    await settled(pool);
+    await first.kill();
+    expect(removed).toEqual([]);
+    expect(pool.stats()).toEqual({ idle: 2, busy: 0, starting: 0 });
+
+    // The most recently used container is handed out first
+    const second = await pool.acquire({ dir: '/workspace/app', debug: false });
+    expect(containers.get('container-1')?.requests.filter((request) => request === 'POST /sessions')).toHaveLength(2);
+    await second.kill();
+    expect(removed).toEqual(['container-1']);
+  });
+
+  it('should not let a container that held a copied project serve anyone else', async () => {
+    const pool = await createPool({ maxUses: 5 });
+    const engine = await pool.acquire({ dir: '/elsewhere/app', debug: false });
+    expect(copied).toEqual(['/elsewhere/app -> container-1']);
+
+    await engine.kill();
+    expect(removed).toEqual(['container-1']);
+  });
+
+  it('should refuse sessions beyond `max` containers', async () => {
+    const pool = await createPool({ min: 0, max: 1 });
+    const engine = await pool.acquire({ dir: '/workspace/app', debug: false });
+    await expect(pool.acquire({ dir: '/workspace/app', debug: false })).rejects.toThrow('Container pool is at its limit of 1 containers');
+
+    await engine.kill();
+    await expect(pool.acquire({ dir: '/workspace/app', debug: false })).resolves.toBeDefined();
+  });
+
+  it('should count a release only once', async () => {
+    const pool = await createPool({ min: 0, maxUses: 3 });
+    const engine = await pool.acquire({ dir: '/workspace/app', debug: false });
+    await engine.kill();
+    await engine.kill();
+    expect(pool.stats()).toEqual({ idle: 1, busy: 0, starting: 0 });
+  });
+});
@@ -0,0 +1,350 @@
+import getPort from "get-port";
+import path from 'node:path';
+import { ContainerRuntime, ContainerRuntimeConfig, LABELS, waitUntilHealthy } from "./containerRuntime.js";
+import { DockerEngineService } from "./dockerEngine.js";
+import { EngineConfig } from "./engine.js";
+import { resolveSecurityProfile, SecurityConfig, SecurityProfile } from "./securityProfile.js";
+
+export interface ContainerPoolOptions {
+  // Idle containers kept ready. Default: 1
+  min?: number;
+  // Running containers, idle and handed out. Default: 10
+  max?: number;
+  // Idle containers above `min` are stopped after this long. Default: 5 minutes
+  idleTimeoutMs?: number;
+  // Sessions a container serves before it is replaced. Whatever a session
+  // leaves behind is seen by the next. Default: 1
+  maxUses?: number;
+  // Containers stop by themselves after this long without requests, as when
+  // this process is gone. Idle ones are kept alive by the pool. Default: 30 minutes
+  containerIdleTimeoutMs?: number;
+  // Mounted into every container, so every session can reach every project
+  // in it. Projects inside it are used in place, others are copied into the
+  // container when it is handed out
+  workspaceRoot?: string;
+  // Mounted into every container for session persistence
+  sessionDir?: string;
+  // Container CLI of every container. Default: docker
+  runtime?: ContainerRuntimeConfig;
+  // Security profile of every container. Default: open
+  security?: SecurityConfig;
+  // Copies a copied-in project back to the host when its session ends. Default: true
+  syncBack?: boolean;
+  apikey?: string;
+  memory?: string;
+  cpus?: string;
+  debug?: boolean;
+}
+
+export interface ContainerPoolStats {
+  idle: number;
+  busy: number;
+  starting: number;
+}
+
+interface PooledContainer {
+  containerId: string;
+  url: string;
+  // Sessions served so far
+  uses: number;
+  idleSince: number;
+  // Holds a copy of a project, so it must not serve anyone else
+  copied: boolean;
+}
+
+const DEFAULT_MIN = 1;
+const DEFAULT_MAX = 10;
+const DEFAULT_IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_USES = 1;
+const DEFAULT_CONTAINER_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+// Upper bound on how often idle containers are looked for
+const MAX_SWEEP_INTERVAL_MS = 60 * 1000;
+const WORKSPACE_DIR = '/workspace';
+const PROJECT_DIR = '/project';
+
+/**
+ * Keeps engine server containers started ahead of time, so a new session
+ * does not wait for `docker run` and the server to boot. Containers are
+ * handed out as DockerEngineService instances; `kill()` on those gives the
+ * container back, to be reused or replaced.
+ */
+class ContainerPool {
+  private idle: PooledContainer[] = [];
+  private busy = new Set<PooledContainer>();
+  private starting = 0;
+  private closed = false;
+  private min: number;
+  private max: number;
+  private idleTimeoutMs: number;
+  private maxUses: number;
+  private containerIdleTimeoutMs: number;
+  private sweepTimer: NodeJS.Timeout;
+  private runtime: ContainerRuntime;
+  private security: SecurityProfile;
+
+  constructor(private options: ContainerPoolOptions = {}) {
+    this.min = options.min ?? DEFAULT_MIN;
+    this.max = options.max ?? DEFAULT_MAX;
+    this.idleTimeoutMs = options.idleTimeoutMs ?? DEFAULT_IDLE_TIMEOUT_MS;
+    this.maxUses = options.maxUses ?? DEFAULT_MAX_USES;
+    this.containerIdleTimeoutMs = options.containerIdleTimeoutMs ?? DEFAULT_CONTAINER_IDLE_TIMEOUT_MS;
+    this.runtime = new ContainerRuntime(options.runtime);
+    this.security = resolveSecurityProfile(options.security);
+    if (this.min < 0 || this.max < 1 || this.min > this.max) {
+      throw new Error(`Invalid pool size: min ${this.min}, max ${this.max}`);
+    }
+
+    // Often enough to ping idle containers before they stop by themselves
+    this.sweepTimer = setInterval(() => {
+      this.evictIdle().catch((error) => console.error('❌ Failed to evict idle containers:', error));
+    }, Math.min(this.idleTimeoutMs, this.containerIdleTimeoutMs / 2, MAX_SWEEP_INTERVAL_MS));
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Starts the first `min` containers and resolves once they are ready.
+   */
+  async start(): Promise<void> {
+    await this.runtime.ensureImageExists();
+    const missing = Math.min(this.min, this.max) - this.idle.length - this.starting;
+    await Promise.all(Array.from({ length: Math.max(missing, 0) }, async () => {
+      this.makeIdle(await this.startContainer());
+    }));
+  }
+
+  /**
+   * Hands out a ready container with a session for `config`, starting one if
+   * none is idle. Throws if the pool is at `max`. The project is used in place
+   * when it is inside `workspaceRoot`, and copied into the container otherwise.
+   */
+  async acquire(config: EngineConfig): Promise<DockerEngineService> {
+    if (this.closed) {
+      throw new Error('Container pool is closed');
+    }
+    if (config.sessionDir && config.sessionDir !== this.options.sessionDir) {
+      // Mounts are fixed when the container starts
+      throw new Error('sessionDir must match the pool\'s sessionDir');
+    }
+    if (config.runtime && JSON.stringify(config.runtime) !== JSON.stringify(this.options.runtime ?? { command: 'docker' })) {
+      throw new Error('runtime must match the pool\'s runtime');
+    }
+    if (config.security && JSON.stringify(config.security) !== JSON.stringify(this.options.security ?? 'open')) {
+      throw new Error('security must match the pool\'s security profile');
+    }
+    const mountedDir = this.mountedPath(config.dir);
+    if (!mountedDir && this.security.readOnlyRoot) {
+      // `cp` can't write to a read-only root filesystem
+      throw new Error(`${config.dir} is outside workspaceRoot, so it would be copied, which a read-only root filesystem does not allow`);
+    }
+
+    const container = await this.take();
+    container.uses++;
+    this.busy.add(container);
+    this.fill();
+
+    let service: DockerEngineService | undefined;
+    let released = false;
+    const lease = {
+      containerId: container.containerId,
+      url: container.url,
+      dir: mountedDir ?? PROJECT_DIR,
+      release: async () => {
+        if (released) return;
+        released = true;
+        // A read-only project is not expected to change
+        const copiedFrom = mountedDir || this.security.readOnlyProject ? undefined : config.dir;
+        await this.giveBack(container, service?.getSessionId(), copiedFrom);
+      },
+    };
+
+    try {
+      if (!mountedDir) {
+        container.copied = true;
+        await this.runtime.copyTo(container.containerId, path.resolve(config.dir), PROJECT_DIR);
+      }
+      service = new DockerEngineService({ ...config, runtime: this.options.runtime, security: this.options.security }, lease);
+      await service.create();
+    } catch (error) {
+      released = true;
+      this.busy.delete(container);
+      await this.destroy(container);
+      this.fill();
+      throw error;
+    }
+    if (this.options.debug) {
+      console.log(`🐳 Handed out container ${container.containerId.slice(0, 12)} for session ${service.getSessionId()}`);
+    }
+    return service;
+  }
+
+  stats(): ContainerPoolStats {
+    return { idle: this.idle.length, busy: this.busy.size, starting: this.starting };
+  }
+
+  /**
+   * Stops every container, including those handed out, and stops starting new ones.
+   */
+  async close(): Promise<void> {
+    this.closed = true;
+    clearInterval(this.sweepTimer);
+    const containers = [...this.idle, ...this.busy];
+    this.idle = [];
+    this.busy.clear();
+    await Promise.all(containers.map((container) => this.destroy(container)));
+  }
+
+  // Takes an idle container that still answers, or starts one
+  private async take(): Promise<PooledContainer> {
+    while (this.idle.length > 0) {
+      // The most recently used, so the others can age out
+      const container = this.idle.pop()!;
+      if (await this.isHealthy(container)) return container;
+      await this.destroy(container);
+    }
+
+    if (this.size() >= this.max) {
+      throw new Error(`Container pool is at its limit of ${this.max} containers`);
+    }
+    return this.startContainer();
+  }
+
+  private async giveBack(container: PooledContainer, sessionId: string | undefined, copiedFrom?: string) {
+    if (!this.busy.delete(container)) return;
+
+    let healthy = true;
+    if (sessionId) {
+      try {
+        await fetch(`${container.url}/sessions/${encodeURIComponent(sessionId)}`, {
+          method: 'DELETE',
+          signal: AbortSignal.timeout(10_000),
+        });
+      } catch {
+        healthy = false;
+      }
+    }
+    if (copiedFrom && this.options.syncBack !== false) {
+      try {
+        await this.runtime.copyFrom(container.containerId, PROJECT_DIR, path.resolve(copiedFrom));
+      } catch (error) {
+        console.error(`❌ Failed to copy the project back from container ${container.containerId}:`, error);
+      }
+    }
+
+    if (!healthy || container.copied || container.uses >= this.maxUses) {
+      await this.destroy(container);
+    } else {
+      this.makeIdle(container);
+    }
+    this.fill();
+  }
+
+  // Puts a container in the idle list, or stops it if the pool no longer wants it
+  private makeIdle(container: PooledContainer) {
+    if (this.closed) {
+      this.destroy(container);
+      return;
+    }
+    container.idleSince = Date.now();
+    this.idle.push(container);
+  }
+
+  // Starts containers in the background until `min` are idle or starting
+  private fill() {
+    while (!this.closed && this.idle.length + this.starting < this.min && this.size() < this.max) {
+      this.startContainer()
+        .then((container) => this.makeIdle(container))
+        .catch((error) => console.error('❌ Failed to start a pooled container:', error));
+    }
+  }
+
+  private async startContainer(): Promise<PooledContainer> {
+    this.starting++;
+    try {
+      await this.runtime.reapOrphansOnce();
+      const { containerId, url } = await this.runtime.run({
+        port: await getPort({ port: 5000 }),
+        mounts: {
+          ...(this.options.workspaceRoot && {
+            [path.resolve(this.options.workspaceRoot)]: this.security.readOnlyProject ? `${WORKSPACE_DIR}:ro` : WORKSPACE_DIR,
+          }),
+          ...(this.options.sessionDir && { [path.resolve(this.options.sessionDir)]: '/sessions' }),
+        },
+        env: {
+          GEMINI_API_KEY: this.options.apikey ?? process.env.GEMINI_API_KEY,
+          IDLE_SHUTDOWN_MS: String(this.containerIdleTimeoutMs),
+        },
+        memory: this.options.memory ?? '256m',
+        cpus: this.options.cpus ?? '1',
+        security: this.security,
+        labels: { [LABELS.pool]: 'true' },
+      });
+      try {
+        await waitUntilHealthy(url, this.options.debug);
+      } catch (error) {
+        await this.runtime.remove(containerId).catch(() => {});
+        throw error;
+      }
+      if (this.options.debug) {
+        console.log(`🐳 Started pooled container ${containerId.slice(0, 12)} at ${url}`);
+      }
+      return { containerId, url, uses: 0, idleSince: Date.now(), copied: false };
+    } finally {
+      this.starting--;
+    }
+  }
+
+  private async destroy(container: PooledContainer) {
+    try {
+      await this.runtime.remove(container.containerId);
+      if (this.options.debug) {
+        console.log(`🐳 Removed pooled container ${container.containerId.slice(0, 12)}`);
+      }
+    } catch (error) {
+      console.warn(`Failed to remove container ${container.containerId}:`, error);
+    }
+  }
+
+  private async isHealthy(container: PooledContainer): Promise<boolean> {
+    try {
+      const response = await fetch(`${container.url}/docker/health`, { signal: AbortSignal.timeout(2_000) });
+      return response.ok;
+    } catch {
+      return false;
+    }
+  }
+
+  private async evictIdle() {
+    const cutoff = Date.now() - this.idleTimeoutMs;
+    // Oldest first; `min` are always kept
+    while (this.idle.length > this.min && this.idle[0].idleSince < cutoff) {
+      await this.destroy(this.idle.shift()!);
+    }
+
+    // The health check keeps the rest running, and finds those that died
+    for (const container of [...this.idle]) {
+      if (await this.isHealthy(container)) continue;
+      const index = this.idle.indexOf(container);
+      if (index === -1) continue;
+      this.idle.splice(index, 1);
+      await this.destroy(container);
+    }
+    this.fill();
+  }
+
+  // Running and starting containers
+  private size(): number {
+    return this.idle.length + this.busy.size + this.starting;
+  }
+
+  // Path of a host directory in the containers, if it is inside the workspace root
+  private mountedPath(dir: string): string | undefined {
+    if (!this.options.workspaceRoot) return undefined;
+    const relative = path.relative(path.resolve(this.options.workspaceRoot), path.resolve(dir));
+    if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+      return undefined;
+    }
+    return path.posix.join(WORKSPACE_DIR, ...relative.split(path.sep));
+  }
+}
+
+export { ContainerPool };
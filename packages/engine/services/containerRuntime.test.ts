@@ -0,0 +1,249 @@
+import { chmodSync, existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { hostname, tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ContainerRuntime, ContainerRuntimeConfig, LABELS } from './containerRuntime.js';
+
+// Stands in for the docker or podman CLI: records its arguments and answers
+// each subcommand with the .out, .err and .code files the test wrote
+const FAKE_CLI = `#!/bin/sh
+dir=$(dirname "$0")
+printf '%s\\037' "$@" >> "$dir/calls"
+printf '\\n' >> "$dir/calls"
+[ -f "$dir/$1.out" ] && cat "$dir/$1.out"
+[ -f "$dir/$1.err" ] && cat "$dir/$1.err" >&2
+[ -f "$dir/$1.code" ] && exit $(cat "$dir/$1.code")
+exit 0
+`;
+
+describe('ContainerRuntime', () => {
+  let dir: string;
+  let cli: string;
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'engine-runtime-'));
+    cli = path.join(dir, 'cli');
+    writeFileSync(cli, FAKE_CLI);
+    chmodSync(cli, 0o755);
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const createRuntime = (config: Partial<ContainerRuntimeConfig> = {}) => new ContainerRuntime({ command: 'podman', path: cli, ...config });
+
+  // How the CLI answers `subcommand`
+  const answer = (subcommand: string, { out, err, code }: { out?: string; err?: string; code?: number }) => {
+    if (out !== undefined) writeFileSync(path.join(dir, `${subcommand}.out`), out);
+    if (err !== undefined) writeFileSync(path.join(dir, `${subcommand}.err`), err);
+    if (code !== undefined) writeFileSync(path.join(dir, `${subcommand}.code`), String(code));
+  };
+
+  // Arguments of every call to the CLI, in order
+  const calls = (): string[][] => {
+    const file = path.join(dir, 'calls');
+    if (!existsSync(file)) return [];
+    return readFileSync(file, 'utf-8').split('\n').filter(Boolean).map((line) => line.split('\x1f').slice(0, -1));
+  };
+
+  describe('run', () => {
+    it('should run the configured binary and image, with the extra flags last', async () => {
+      answer('run', { out: 'abc123\n' });
+      const runtime = createRuntime({ image: 'my-engine', runArgs: ['--network', 'engine', '--userns', 'keep-id'] });
+
+      const container = await runtime.run({ port: 5123, memory: '512m', cpus: '2', env: { GEMINI_API_KEY: 'key', UNSET: undefined } });
+
+      expect(container.containerId).toBe('abc123');
+      const [args] = calls();
+      expect(args.slice(0, 3)).toEqual(['run', '-d', '--rm']);
+      expect(args.slice(-5)).toEqual(['--network', 'engine', '--userns', 'keep-id', 'my-engine']);
+      expect(args.join(' ')).toContain('-e PORT=5000 -e GEMINI_API_KEY=key --memory 512m --cpus 2');
+      expect(args.some((arg) => arg.startsWith('UNSET'))).toBe(false);
+    });
+
+    it('should mount host paths at their container paths', async () => {
+      answer('run', { out: 'abc123' });
+      await createRuntime().run({ port: 5000, mounts: { '/home/me/app': '/project:ro', '/var/sessions': '/sessions' } });
+      expect(calls()[0].join(' ')).toContain('-v /home/me/app:/project:ro -v /var/sessions:/sessions');
+    });
+    it('should label containers with this host and process, to find orphans later', async () => {
+      answer('run', { out: 'abc123' });
+      await createRuntime().run({ port: 5123, labels: { [LABELS.session]: 'session-1' } });
+
+      const [args] = calls();
+      expect(args.slice(0, 11)).toEqual([
+        'run', '-d', '--rm',
+        '--label', `${LABELS.engine}=true`,
+        '--label', `${LABELS.host}=${hostname()}`,
+        '--label', `${LABELS.pid}=${process.pid}`,
+        '--label', `${LABELS.session}=session-1`,
+      ]);
+    });
+
+    it('should publish the port on loopback only', async () => {
+      answer('run', { out: 'abc123' });
+      const container = await createRuntime().run({ port: 5123 });
+
+      expect(container.url).toBe('http://127.0.0.1:5123');
+      expect(calls()[0].join(' ')).toContain('-p 127.0.0.1:5123:5000');
+    });
+
+    it('should reach a container on its own network at its IP, without publishing a port', async () => {
+      answer('run', { out: 'abc123' });
+      answer('inspect', { out: '172.18.0.5\n' });
+      const security = { network: { name: 'engine-internal', proxy: 'http://proxy:3128' } };
+
+      const container = await createRuntime().run({ port: 5123, security });
+
+      expect(container.url).toBe('http://172.18.0.5:5000');
+      const [run, inspect] = calls();
+      expect(run.includes('-p')).toBe(false);
+      expect(run.join(' ')).toContain('--network engine-internal');
+      expect(inspect).toEqual(['inspect', '-f', '{{(index .NetworkSettings.Networks "engine-internal").IPAddress}}', 'abc123']);
+    });
+
+    it('should remove a container that has no address on its network', async () => {
+      answer('run', { out: 'abc123' });
+      const security = { network: { name: 'engine-internal', proxy: 'http://proxy:3128' } };
+
+      await expect(createRuntime().run({ port: 5123, security })).rejects.toThrow('Container abc123 has no address on network engine-internal');
+      expect(calls().slice(2)).toEqual([
+        ['stop', 'abc123'],
+        ['rm', '-f', 'abc123'],
+      ]);
+    });
+  });
+
+  describe('remove', () => {
+    it('should stop the container and then remove it', async () => {
+      await createRuntime().remove('abc123');
+      expect(calls()).toEqual([
+        ['stop', 'abc123'],
+        ['rm', '-f', 'abc123'],
+      ]);
+    });
+
+    it('should accept a container that is already gone', async () => {
+      answer('stop', { err: 'Error response from daemon: No such container: abc123', code: 1 });
+      answer('rm', { err: 'Error response from daemon: No such container: abc123', code: 1 });
+      await createRuntime().remove('abc123');
+
+      // Podman words it differently
+      writeFileSync(path.join(dir, 'rm.err'), 'Error: no container with name or ID "abc123" found: no such container');
+      await createRuntime().remove('abc123');
+    });
+
+    it('should report other failures', async () => {
+      answer('rm', { err: 'permission denied', code: 1 });
+      await expect(createRuntime().remove('abc123')).rejects.toThrow('podman rm failed with code 1: permission denied');
+    });
+  });
+
+  describe('reapOrphans', () => {
+    const DEAD_PID = 999_999_999;
+
+    it('should remove only containers of this host whose process has exited', async () => {
+      answer('ps', { out: 'own\nalive\ndead\nother-host\nunlabelled\n' });
+      answer('inspect', {
+        out: [
+          `own ${hostname()} ${process.pid}`,
+          `alive ${hostname()} ${process.ppid}`,
+          `dead ${hostname()} ${DEAD_PID}`,
+          `other-host ${hostname()}-other ${DEAD_PID}`,
+          'unlabelled  ',
+        ].join('\n'),
+      });
+
+      expect(await createRuntime().reapOrphans()).toEqual(['dead']);
+      const [ps, inspect, rm] = calls();
+      expect(ps).toEqual(['ps', '-a', '-q', '--filter', `label=${LABELS.engine}`]);
+      expect(inspect.slice(3)).toEqual(['own', 'alive', 'dead', 'other-host', 'unlabelled']);
+      expect(rm).toEqual(['rm', '-f', 'dead']);
+    });
+
+    it('should not inspect anything without engine containers', async () => {
+      expect(await createRuntime().reapOrphans()).toEqual([]);
+      expect(calls()).toHaveLength(1);
+    });
+
+    it('should look once per CLI and only warn when that fails', async () => {
+      answer('ps', { err: 'daemon not running', code: 1 });
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const runtime = createRuntime();
+
+      expect(await runtime.reapOrphansOnce()).toEqual([]);
+      expect(await runtime.reapOrphansOnce()).toEqual([]);
+      expect(calls()).toHaveLength(1);
+      expect(warn).toHaveBeenCalledWith('Failed to look for orphaned containers:', expect.any(Error));
+      warn.mockRestore();
+    });
+  });
+
+  describe('logs', () => {
+    const collect = async (lines: AsyncIterable<string>) => {
+      const collected: string[] = [];
+      for await (const line of lines) {
+        collected.push(line);
+      }
+      return collected;
+    };
+
+    it('should yield stdout and stderr line by line', async () => {
+      answer('logs', { out: 'Server listening on port 5000\nsession created\n', err: 'warning: slow start\n' });
+
+      const lines = await collect(createRuntime().logs('abc123', { tail: 100, timestamps: true }));
+
+      expect(lines.sort()).toEqual(['Server listening on port 5000', 'session created', 'warning: slow start']);
+      expect(calls()).toEqual([['logs', '--tail', '100', '--timestamps', 'abc123']]);
+    });
+
+    it('should follow until the signal aborts', async () => {
+      // A follow that never ends by itself
+      writeFileSync(cli, `${FAKE_CLI.replace('exit 0', '')}echo first\nexec sleep 30\n`);
+      const controller = new AbortController();
+      const lines: string[] = [];
+
+      for await (const line of createRuntime().logs('abc123', { follow: true, signal: controller.signal })) {
+        lines.push(line);
+        controller.abort();
+      }
+
+      expect(lines).toEqual(['first']);
+      expect(calls()[0]).toEqual(['logs', '--follow', 'abc123']);
+    });
+  });
+
+  describe('ensureImageExists', () => {
+    it('should pass when the image is there', async () => {
+      answer('images', { out: 'f00d\n' });
+      await createRuntime({ image: 'my-engine' }).ensureImageExists();
+      expect(calls()).toEqual([['images', '-q', 'my-engine']]);
+    });
+
+    it('should tell how to build a missing image with the runtime in use', async () => {
+      await expect(createRuntime().ensureImageExists()).rejects.toThrow(
+        'podman image "gemini-engine-server" not found. Please build it first with: podman build -t gemini-engine-server -f packages/engine/Dockerfile .',
+      );
+      await expect(createRuntime({ command: 'docker' }).ensureImageExists()).rejects.toThrow('npm run docker:build');
+    });
+
+    it('should report a CLI that fails or is missing', async () => {
+      answer('images', { err: 'cannot connect to the socket', code: 125 });
+      await expect(createRuntime().ensureImageExists()).rejects.toThrow(
+        'Failed to check for podman image: podman images failed with code 125: cannot connect to the socket',
+      );
+      await expect(createRuntime({ path: path.join(dir, 'missing') }).ensureImageExists()).rejects.toThrow('Failed to check for podman image');
+    });
+  });
+
+  it('should copy a project in and out of a container', async () => {
+    const runtime = createRuntime();
+    await runtime.copyTo('abc123', '/home/me/app', '/project');
+    await runtime.copyFrom('abc123', '/project', '/home/me/app');
+    expect(calls()).toEqual([
+      ['cp', '/home/me/app/.', 'abc123:/project'],
+      ['cp', 'abc123:/project/.', '/home/me/app'],
+    ]);
+  });
+});
@@ -0,0 +1,315 @@
+import type { SandboxConfig } from '@google/gemini-cli-core';
+import { spawn } from "child_process";
+import { hostname } from 'node:os';
+import { createInterface } from 'node:readline';
+import { PassThrough } from 'node:stream';
+import { networkName, SecurityProfile, securityArgs } from './securityProfile.js';
+
+const DEFAULT_IMAGE = 'gemini-engine-server';
+// Port of the engine server inside the container
+const CONTAINER_PORT = 5000;
+
+// Labels of every container the engine starts, for `docker ps --filter label=ai.cellular.engine`
+const LABELS = {
+  engine: 'ai.cellular.engine',
+  // Host and process that started the container, to find orphans
+  host: 'ai.cellular.engine.host',
+  pid: 'ai.cellular.engine.pid',
+  // Session of a DockerEngineService container
+  session: 'ai.cellular.engine.session',
+  // Set on ContainerPool containers, which serve many sessions
+  pool: 'ai.cellular.engine.pool',
+};
+
+// CLIs already checked for orphans by this process
+const reaped = new Map<string, Promise<string[]>>();
+
+export interface ContainerRuntimeConfig {
+  // The CLIs of core's SandboxConfig that run images. Podman may run rootless
+  command: Exclude<SandboxConfig['command'], 'sandbox-exec'>;
+  // Binary to run instead of `command` from PATH
+  path?: string;
+  // Image of the engine server. Default: gemini-engine-server
+  image?: string;
+  // Extra flags for every `run`, e.g. `['--network', 'engine']`
+  runArgs?: string[];
+}
+
+export interface RunOptions {
+  // Host port published to the server's port, unless the profile names a network
+  port: number;
+  // Host path -> container path, with `:ro` for read-only mounts
+  mounts?: Record<string, string>;
+  env?: Record<string, string | undefined>;
+  memory?: string;
+  cpus?: string;
+  security?: SecurityProfile;
+  // Added to the engine's own labels
+  labels?: Record<string, string>;
+}
+
+export interface LogOptions {
+  // Keep streaming new output until the container stops or the signal aborts
+  follow?: boolean;
+  // Only the last lines
+  tail?: number;
+  timestamps?: boolean;
+  signal?: AbortSignal;
+}
+
+export interface RunningContainer {
+  containerId: string;
+  // Where the server answers from the host
+  url: string;
+}
+
+/**
+ * The container CLI that runs engine server containers. Docker and Podman
+ * take the same arguments for everything the engine needs.
+ */
+class ContainerRuntime {
+  readonly command: ContainerRuntimeConfig['command'];
+  readonly image: string;
+  private binary: string;
+  private runArgs: string[];
+
+  constructor(config: ContainerRuntimeConfig = { command: 'docker' }) {
+    this.command = config.command;
+    this.binary = config.path ?? config.command;
+    this.image = config.image ?? DEFAULT_IMAGE;
+    this.runArgs = config.runArgs ?? [];
+  }
+
+  async ensureImageExists(): Promise<void> {
+    let images: string;
+    try {
+      images = await this.exec(['images', '-q', this.image]);
+    } catch (error) {
+      throw new Error(`Failed to check for ${this.command} image: ${error instanceof Error ? error.message : error}`);
+    }
+    if (!images) {
+      const build = this.command === 'docker'
+        ? 'npm run docker:build'
+        : `${this.command} build -t ${this.image} -f packages/engine/Dockerfile .`;
+      throw new Error(`${this.command} image "${this.image}" not found. Please build it first with: ${build}`);
+    }
+  }
+
+  /**
+   * Starts a detached engine server container, labelled as ours and removed
+   * once it stops. Does not wait for the server; see waitUntilHealthy. On a network of the profile's own, the server is
+   * reached by its container IP, as ports can't be published from internal
+   * networks.
+   */
+  async run(options: RunOptions): Promise<RunningContainer> {
+    const env = { PORT: String(CONTAINER_PORT), ...options.env };
+    const network = options.security && networkName(options.security);
+    const labels = {
+      [LABELS.engine]: 'true',
+      [LABELS.host]: hostname(),
+      [LABELS.pid]: String(process.pid),
+      ...options.labels,
+    };
+    const args = [
+      'run',
+      '-d',
+      '--rm',
+      ...Object.entries(labels).flatMap(([name, value]) => ['--label', `${name}=${value}`]),
+      // Loopback only, so the server isn't reachable from other hosts
+      ...(network ? [] : ['-p', `127.0.0.1:${options.port}:${CONTAINER_PORT}`]),
+      ...Object.entries(options.mounts ?? {}).flatMap(([host, container]) => ['-v', `${host}:${container}`]),
+      ...Object.entries(env).flatMap(([name, value]) => value === undefined ? [] : ['-e', `${name}=${value}`]),
+      ...(options.memory ? ['--memory', options.memory] : []),
+      ...(options.cpus ? ['--cpus', options.cpus] : []),
+      ...(options.security ? securityArgs(options.security) : []),
+      ...this.runArgs,
+      this.image,
+    ];
+    const containerId = await this.exec(args);
+    if (!network) {
+      return { containerId, url: `http://127.0.0.1:${options.port}` };
+    }
+
+    try {
+      const address = await this.exec(['inspect', '-f', `{{(index .NetworkSettings.Networks "${network}").IPAddress}}`, containerId]);
+      if (!address) throw new Error(`Container ${containerId} has no address on network ${network}`);
+      return { containerId, url: `http://${address}:${CONTAINER_PORT}` };
+    } catch (error) {
+      await this.remove(containerId).catch(() => {});
+      throw error;
+    }
+  }
+
+  async stop(containerId: string): Promise<void> {
+    await this.exec(['stop', containerId]);
+  }
+
+  /**
+   * Stops a container, giving the server time to shut down, and makes sure
+   * it is gone. Containers that no longer exist are fine.
+   */
+  async remove(containerId: string): Promise<void> {
+    // `--rm` usually removes it once stopped; `rm -f` covers the rest
+    await this.stop(containerId).catch(() => {});
+    try {
+      await this.exec(['rm', '-f', containerId]);
+    } catch (error) {
+      if (!/no such container|no container with/i.test(error instanceof Error ? error.message : String(error))) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Removes containers that this host started from processes that have
+   * exited, such as a crashed server. Containers of other hosts sharing the
+   * daemon are left alone. Resolves with the removed IDs.
+   */
+  async reapOrphans(): Promise<string[]> {
+    const ids = (await this.exec(['ps', '-a', '-q', '--filter', `label=${LABELS.engine}`])).split('\n').filter(Boolean);
+    if (ids.length === 0) return [];
+
+    const format = `{{.Id}} {{index .Config.Labels "${LABELS.host}"}} {{index .Config.Labels "${LABELS.pid}"}}`;
+    const orphans = (await this.exec(['inspect', '--format', format, ...ids]))
+      .split('\n')
+      .map((line) => line.trim().split(' '))
+      .filter(([, host, pid]) => host === hostname() && Number(pid) !== process.pid && !isRunning(Number(pid)))
+      .map(([id]) => id);
+    if (orphans.length > 0) {
+      await this.exec(['rm', '-f', ...orphans]);
+    }
+    return orphans;
+  }
+
+  /**
+   * reapOrphans, once per process and CLI. Failures are logged, as they
+   * should not keep a container from starting.
+   */
+  reapOrphansOnce(): Promise<string[]> {
+    let reaping = reaped.get(this.binary);
+    if (!reaping) {
+      reaping = this.reapOrphans()
+        .then((orphans) => {
+          if (orphans.length > 0) console.log(`Removed ${orphans.length} orphaned container(s): ${orphans.map((id) => id.slice(0, 12)).join(', ')}`);
+          return orphans;
+        })
+        .catch((error) => {
+          console.warn('Failed to look for orphaned containers:', error);
+          return [];
+        });
+      reaped.set(this.binary, reaping);
+    }
+    return reaping;
+  }
+
+  /**
+   * Yields the container's output, stdout and stderr, line by line.
+   */
+  async *logs(containerId: string, options: LogOptions = {}): AsyncGenerator<string, void, unknown> {
+    const args = [
+      'logs',
+      ...(options.follow ? ['--follow'] : []),
+      ...(options.tail !== undefined ? ['--tail', String(options.tail)] : []),
+      ...(options.timestamps ? ['--timestamps'] : []),
+      containerId,
+    ];
+    const child = spawn(this.binary, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    // Both streams in one, ending when both have
+    const output = new PassThrough();
+    let open = 2;
+    for (const stream of [child.stdout, child.stderr]) {
+      stream.pipe(output, { end: false });
+      stream.on('end', () => {
+        if (--open === 0) output.end();
+      });
+    }
+    child.on('error', (error) => output.destroy(error));
+
+    const onAbort = () => child.kill();
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+    try {
+      for await (const line of createInterface({ input: output, crlfDelay: Infinity })) {
+        yield line;
+      }
+    } finally {
+      options.signal?.removeEventListener('abort', onAbort);
+      child.kill();
+    }
+  }
+
+  // Copies the contents of a host directory into a container directory
+  async copyTo(containerId: string, hostDir: string, containerDir: string): Promise<void> {
+    await this.exec(['cp', `${hostDir}/.`, `${containerId}:${containerDir}`]);
+  }
+
+  // Copies the contents of a container directory back to the host
+  async copyFrom(containerId: string, containerDir: string, hostDir: string): Promise<void> {
+    await this.exec(['cp', `${containerId}:${containerDir}/.`, hostDir]);
+  }
+
+  /**
+   * Runs the CLI and resolves with its output. Rejects with stderr when it
+   * exits with an error.
+   */
+  private exec(args: string[]): Promise<string> {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.binary, args, { stdio: 'pipe' });
+
+      let stdout = '';
+      let stderr = '';
+      child.stdout?.on('data', (data) => {
+        stdout += data.toString();
+      });
+      child.stderr?.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      child.on('close', (code: number | null) => {
+        if (code === 0) {
+          resolve(stdout.trim());
+        } else {
+          reject(new Error(`${this.command} ${args[0]} failed with code ${code}: ${stderr.trim()}`));
+        }
+      });
+      child.on('error', (error) => {
+        reject(error);
+      });
+    });
+  }
+}
+
+const isRunning = (pid: number): boolean => {
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // The process exists but belongs to another user
+    return (error as NodeJS.ErrnoException).code === 'EPERM';
+  }
+}
+
+/**
+ * Polls the server's health route until it answers.
+ */
+const waitUntilHealthy = async (url: string, debug = false, maxRetries: number = 30, retryInterval: number = 1000): Promise<void> => {
+  for (let i = 0; i < maxRetries; i++) {
+    try {
+      await fetch(`${url}/docker/health`, {
+        method: 'GET',
+        signal: AbortSignal.timeout(10000) // 10 second timeout per request
+      });
+      if (debug) console.log('Server is ready!');
+      return;
+    } catch (error) {
+      if (i === maxRetries - 1) {
+        throw new Error(`Server failed to become ready after ${maxRetries} attempts: ${error}`);
+      }
+      if (debug) console.warn(`Waiting for server... (attempt ${i + 1}/${maxRetries})`);
+      await new Promise(resolve => setTimeout(resolve, retryInterval));
+    }
+  }
+}
+
+export { CONTAINER_PORT, ContainerRuntime, LABELS, waitUntilHealthy };
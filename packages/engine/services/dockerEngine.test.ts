@@ -0,0 +1,168 @@
+import { once } from 'node:events';
+import { createServer, IncomingMessage, Server, ServerResponse } from 'node:http';
+import type { AddressInfo } from 'node:net';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { DockerEngineService } from './dockerEngine.js';
+import { EngineEvent, ToolConfirmationOutcome } from './engine.js';
+
+interface Received {
+  method: string;
+  url: string;
+  body: unknown;
+}
+
+type Handler = (req: IncomingMessage, res: ServerResponse, body: unknown) => void;
+
+const sse = (res: ServerResponse, events: { type: string; content: unknown }[]) => {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  events.forEach(({ type, content }, index) => res.write(`id: ${index + 1}\nevent: ${type}\ndata: ${JSON.stringify({ type, content })}\n\n`));
+};
+
+const collect = async (events: AsyncIterable<EngineEvent>) => {
+  const collected: EngineEvent[] = [];
+  for await (const event of events) {
+    collected.push(event);
+  }
+  return collected;
+};
+
+describe('DockerEngineService', () => {
+  let server: Server;
+  let received: Received[];
+  let handle: Handler;
+  let engine: DockerEngineService;
+
+  // Stands in for the engine server in the container
+  beforeEach(async () => {
+    received = [];
+    handle = (req, res) => res.writeHead(204).end();
+    server = createServer(async (req, res) => {
+      let text = '';
+      for await (const chunk of req) text += chunk;
+      const body = text ? JSON.parse(text) : undefined;
+      received.push({ method: req.method!, url: req.url!, body });
+      handle(req, res, body);
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const url = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+    engine = new DockerEngineService(
+      { dir: '/workspace', sessionId: 'session 1', debug: false },
+      { containerId: 'container', url, dir: '/project', release: async () => {} },
+    );
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    server.closeAllConnections();
+    server.close();
+    vi.restoreAllMocks();
+  });
+
+  it('should forward Engine methods to the session routes', async () => {
+    handle = (req, res) => {
+      if (req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify([{ role: 'user', parts: [{ text: 'Hi' }] }]));
+      } else {
+        res.writeHead(204).end();
+      }
+    };
+
+    await engine.create();
+    expect(await engine.getHistory()).toEqual([{ role: 'user', parts: [{ text: 'Hi' }] }]);
+    await engine.setHistory([]);
+    await engine.respondToConfirmation('call-1', ToolConfirmationOutcome.ProceedOnce);
+
+    expect(received).toEqual([
+      {
+        method: 'POST',
+        url: '/sessions',
+        body: expect.objectContaining({ dir: '/project', sessionId: 'session 1', debug: false }),
+      },
+      { method: 'GET', url: '/sessions/session%201/history', body: undefined },
+      { method: 'PUT', url: '/sessions/session%201/history', body: { history: [] } },
+      { method: 'POST', url: '/sessions/session%201/confirm', body: { callId: 'call-1', outcome: 'proceed_once' } },
+    ]);
+  });
+
+  it('should throw with the status and error message of failed requests', async () => {
+    handle = (req, res) => res.writeHead(404, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: 'Session not found' }));
+    await expect(engine.clearHistory()).rejects.toMatchObject({
+      message: 'DELETE /sessions/session%201/history failed: 404 Session not found',
+      status: 404,
+    });
+  });
+
+  describe('streamWithToolEvents', () => {
+    it('should yield the events the container streams', async () => {
+      handle = (req, res) => {
+        sse(res, [{ type: 'text', content: 'Hello' }, { type: 'done', content: { finishReason: 'STOP', turns: 1 } }]);
+        res.end();
+      };
+
+      const events = await collect(engine.streamWithToolEvents('Hi', 'Be brief', { model: 'pro' }));
+
+      expect(events).toEqual([
+        { type: 'text', data: 'Hello' },
+        { type: 'done', data: { finishReason: 'STOP', turns: 1 } },
+      ]);
+      expect(received[0]).toEqual({ method: 'POST', url: '/sessions/session%201/stream', body: { prompt: 'Hi', context: 'Be brief', model: 'pro' } });
+    });
+
+    it('should map failed requests to error events', async () => {
+      handle = (req, res) => res.writeHead(409, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: 'Session is busy' }));
+      const busy = await collect(engine.streamWithToolEvents('Hi'));
+      expect(busy[0]).toEqual({ type: 'error', data: { code: 'busy', status: 409, retryable: true, message: expect.stringContaining('Session is busy') } });
+      expect(busy[1]).toMatchObject({ type: 'done', data: { finishReason: 'ERROR' } });
+
+      handle = (req, res) => res.writeHead(429).end('Slow down');
+      const limited = await collect(engine.streamWithToolEvents('Hi'));
+      expect(limited[0]).toMatchObject({ type: 'error', data: { code: 'rate_limited', status: 429, retryable: true } });
+    });
+
+    it('should report a stream that ends before done as a lost connection', async () => {
+      handle = (req, res) => {
+        sse(res, [{ type: 'text', content: 'Hel' }]);
+        res.end();
+      };
+
+      const events = await collect(engine.streamWithToolEvents('Hi'));
+
+      expect(events.map((event) => event.type)).toEqual(['text', 'error', 'done']);
+      expect(events[1].data).toMatchObject({ message: 'Connection to the container was lost' });
+    });
+
+    it('should end only its own request when the signal aborts', async () => {
+      // Holds the stream open after the first event
+      handle = (req, res) => sse(res, [{ type: 'text', content: 'Hel' }]);
+      const controller = new AbortController();
+
+      const events: EngineEvent[] = [];
+      for await (const event of engine.streamWithToolEvents('Hi', undefined, { signal: controller.signal })) {
+        events.push(event);
+        if (event.type === 'text') controller.abort();
+      }
+
+      expect(events.map((event) => event.type)).toEqual(['text', 'cancelled', 'done']);
+      expect(events[2]).toMatchObject({ data: { finishReason: 'CANCELLED' } });
+      // Cancelling the whole session would stop its other prompts too
+      expect(received.map((request) => request.url)).toEqual(['/sessions/session%201/stream']);
+    });
+  });
+
+  describe('stream', () => {
+    it('should yield text and throw the error the container reports', async () => {
+      handle = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.end('event: text\ndata: "Hel"\n\nevent: error\ndata: {"message":"Chat stream failed: quota"}\n\n');
+      };
+
+      const texts: string[] = [];
+      await expect(async () => {
+        for await (const text of engine.stream('Hi')) texts.push(text);
+      }).rejects.toThrow('Chat stream failed: quota');
+      expect(texts).toEqual(['Hel']);
+      expect(received[0].url).toBe('/sessions/session%201/generate');
+    });
+  });
+});
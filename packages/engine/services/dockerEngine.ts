@@ -1,81 +1,123 @@
-import { ChildProcess, spawn } from "child_process";
+import type { ToolResult } from '@google/gemini-cli-core';
+import type { Content, FunctionDeclaration, PartListUnion } from '@google/genai';
+import { randomUUID } from 'node:crypto';
 import { Response } from 'express';
 import getPort from "get-port";
 import { Socket } from "socket.io";
-import { EngineConfig } from "./engine.js";
+import type { StreamEvent } from '../api/stream.js';
+import { readEventStream } from "../client/sse.js";
+import { ContainerRuntime, LABELS, LogOptions, waitUntilHealthy } from "./containerRuntime.js";
+import {
+  emptyUsage,
+  Engine,
+  EngineConfig,
+  EngineEvent,
+  ErrorData,
+  StreamOptions,
+  toErrorData,
+  ToolConfirmationOutcome,
+  validateEngineConfig,
+} from "./engine.js";
+import { egressProxy, resolveSecurityProfile, SecurityProfile } from "./securityProfile.js";
 
-class DockerEngineService {
-  private port: number = 0;
+/**
+ * A running container handed out for one session.
+ */
+export interface ContainerLease {
+  containerId: string;
+  // Where the server answers
+  url: string;
+  // Project directory inside the container
+  dir: string;
+  // Ends the session and gives the container back
+  release(): Promise<void>;
+}
+
+// Containers stop by themselves after this long without requests
+const DEFAULT_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+const errorMessage = (error: unknown) => error instanceof Error ? error.message : String(error);
+
+/**
+ * Runs the engine server in a container and proxies the Engine methods to
+ * its session routes, so it can stand in for EngineService.
+ */
+class DockerEngineService implements Engine {
+  private url: string = "";
   private config: EngineConfig;
-  private dockerProcess: ChildProcess | null= null;
   private containerId: string = "";
+  private sessionId: string;
+  private runtime: ContainerRuntime;
+  private security: SecurityProfile;
 
-  constructor(config: EngineConfig) {
+  /**
+   * With a lease, the service uses a container that is already running, as
+   * ContainerPool.acquire sets up; init() then does nothing.
+   */
+  constructor(config: EngineConfig, private lease?: ContainerLease) {
+    validateEngineConfig(config);
+    if (config.sessionStore) {
+      // The config is sent to the container as JSON, so only a directory can be passed along
+      throw new Error('DockerEngineService does not support sessionStore, use sessionDir instead');
+    }
     this.config = config;
+    this.sessionId = config.sessionId?.trim() || randomUUID();
+    this.runtime = new ContainerRuntime(config.runtime);
+    this.security = resolveSecurityProfile(config.security);
+    if (lease) {
+      this.url = lease.url;
+      this.containerId = lease.containerId;
+    }
   }
 
-  async init(memory: string = '256m', cpus: string = '1') {
-    this.port = await getPort({ port: 5000 });
-    
+  /**
+   * Starts the container. It stops by itself after `idleTimeoutMs` without
+   * requests, which also covers this process crashing, and is removed once
+   * stopped. Orphans of earlier processes are removed first.
+   */
+  async init(memory: string = '256m', cpus: string = '1', idleTimeoutMs: number = DEFAULT_IDLE_TIMEOUT_MS) {
+    if (this.lease) return this.containerId;
     // Check if the pre-built image exists
-    await this.ensureImageExists();
-    
-    const dockerArgs = [
-      'run',
-      '-d',
-      '-p', `${this.port}:5000`,
-      '-v', `${this.config.dir}:/project`,
-      '-e', `PORT=5000`,
-      '-e', `GEMINI_API_KEY=${process.env.GEMINI_API_KEY}`,
-      '--memory', memory,
-      '--cpus', cpus,
-      'gemini-engine-server'
-    ];
+    await this.runtime.ensureImageExists();
+    await this.runtime.reapOrphansOnce();
 
-    return new Promise((resolve, reject) => {
-      this.dockerProcess = spawn('docker', dockerArgs);
-      
-      // Capture the container ID
-      let containerId = '';
-      this.dockerProcess.stdout?.on('data', (data) => {
-        containerId += data.toString();
-      });
-      
-      this.dockerProcess.on('close', (code: number | null) => {
-        if (code === 0) {
-          console.log(`Docker container started with ID: ${containerId.trim()}`);
-          this.containerId = containerId.trim();
-          this.healthCheck()
-            .then(() => resolve(this.containerId))
-            .catch(reject);
-        } else {
-          reject(new Error(`Docker container failed to start with code: ${code}`));
-        }
-      });
-      
-      this.dockerProcess.on('error', (error) => {
-        reject(error);
-      });
+    const { containerId, url } = await this.runtime.run({
+      port: await getPort({ port: 5000 }),
+      mounts: {
+        [this.config.dir]: this.security.readOnlyProject ? '/project:ro' : '/project',
+        ...(this.config.sessionDir && { [this.config.sessionDir]: '/sessions' }),
+      },
+      env: {
+        GEMINI_API_KEY: this.config.apikey ?? process.env.GEMINI_API_KEY,
+        IDLE_SHUTDOWN_MS: String(idleTimeoutMs),
+      },
+      memory,
+      cpus,
+      security: this.security,
+      labels: { [LABELS.session]: this.sessionId },
     });
+    this.containerId = containerId;
+    this.url = url;
+    console.log(`${this.runtime.command} container started with ID: ${this.containerId}`);
+    await waitUntilHealthy(this.url, this.config.debug);
+    return this.containerId;
   }
 
   async create() {
     try {
       const containerConfig = {
         ...this.config,
-        dir: '/project'
+        dir: this.lease?.dir ?? '/project',
+        sessionDir: this.config.sessionDir ? '/sessions' : undefined,
+        sessionId: this.sessionId,
+        // Model requests leave through the profile's egress proxy
+        proxy: this.config.proxy ?? egressProxy(this.security),
+        // Only the host starts containers
+        runtime: undefined,
+        security: undefined,
       };
-      
-      const response = await fetch(`http://localhost:${this.port}/docker/create`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(containerConfig)
-      });
-
-      if (!response.ok) {
-        throw new Error(`Create request failed: ${response.status} ${response.statusText}`);
-      }
 
+      await this.request('POST', '/sessions', containerConfig);
       console.log('Engine created successfully');
     } catch (error) {
       console.error('Failed to create engine:', error);
@@ -83,7 +125,122 @@ class DockerEngineService {
     }
   }
 
-  async streamSSE(response: Response, prompt: string, setHeaders?: boolean) {
+  getSessionId(): string {
+    return this.sessionId;
+  }
+
+  /**
+   * Text of the answer, as EngineService.stream. Aborting the signal ends
+   * the request, which cancels the prompt in the container.
+   */
+  async *stream(message: PartListUnion, context?: string, options: StreamOptions = {}): AsyncGenerator<string, void, unknown> {
+    const { signal, ...streamOptions } = options;
+    let response: globalThis.Response;
+    try {
+      response = await this.request('POST', `${this.sessionPath}/generate`, { prompt: message, context, ...streamOptions }, signal);
+    } catch (error) {
+      if (signal?.aborted) return;
+      throw new Error(`Chat stream failed: ${errorMessage(error)}`);
+    }
+
+    try {
+      for await (const event of readEventStream(response.body!)) {
+        if (event.event === 'text') yield JSON.parse(event.data) as string;
+        // Already worded as EngineService.stream throws it
+        if (event.event === 'error') throw new Error((JSON.parse(event.data) as ErrorData).message);
+        if (event.event === 'done') return;
+      }
+    } catch (error) {
+      if (signal?.aborted) return;
+      throw error;
+    }
+    if (!signal?.aborted) throw new Error('Chat stream failed: connection to the container was lost');
+  }
+
+  /**
+   * Events of the prompt, as EngineService.streamWithToolEvents. Failures are
+   * yielded as `error` followed by `done`, never thrown. Aborting the signal
+   * ends the request, which cancels this prompt in the container once it has
+   * had the server's reconnect grace period to come back. Other prompts of
+   * the session keep running; abort() cancels all of them.
+   */
+  async *streamWithToolEvents(message: PartListUnion, context?: string, options: StreamOptions = {}): AsyncGenerator<EngineEvent, void, unknown> {
+    const { signal, ...streamOptions } = options;
+    const cancelled: EngineEvent[] = [
+      { type: 'cancelled', data: { reason: 'Stream was cancelled' } },
+      { type: 'done', data: { finishReason: 'CANCELLED', turns: 0, usage: emptyUsage() } },
+    ];
+
+    let response: globalThis.Response;
+    try {
+      response = await this.request('POST', `${this.sessionPath}/stream`, { prompt: message, context, ...streamOptions }, signal);
+    } catch (error) {
+      if (signal?.aborted) {
+        yield* cancelled;
+        return;
+      }
+      const status = (error as { status?: number }).status;
+      yield {
+        type: 'error',
+        data: status === 409
+          ? { code: 'busy', status, retryable: true, message: errorMessage(error) }
+          : toErrorData(error, status),
+      };
+      yield { type: 'done', data: { finishReason: 'ERROR', turns: 0, usage: emptyUsage() } };
+      return;
+    }
+
+    try {
+      for await (const event of readEventStream(response.body!)) {
+        const { type, content } = JSON.parse(event.data) as StreamEvent;
+        if (this.config.debug) console.log("handling event: ", type, content);
+        yield { type, data: content } as EngineEvent;
+        if (type === 'done') return;
+      }
+    } catch {
+      // Reported below like any other lost connection
+    }
+    if (signal?.aborted) {
+      yield* cancelled;
+      return;
+    }
+    yield { type: 'error', data: toErrorData('Connection to the container was lost') };
+    yield { type: 'done', data: { finishReason: 'ERROR', turns: 0, usage: emptyUsage() } };
+  }
+
+  async getHistory(): Promise<Content[]> {
+    return (await this.request('GET', `${this.sessionPath}/history`)).json() as Promise<Content[]>;
+  }
+
+  async setHistory(history: Content[]): Promise<void> {
+    await this.request('PUT', `${this.sessionPath}/history`, { history });
+  }
+
+  async clearHistory(): Promise<void> {
+    await this.request('DELETE', `${this.sessionPath}/history`);
+  }
+
+  async getTools(): Promise<FunctionDeclaration[]> {
+    return (await this.request('GET', `${this.sessionPath}/tools`)).json() as Promise<FunctionDeclaration[]>;
+  }
+
+  async executeTool(toolName: string, params: Record<string, unknown>): Promise<ToolResult> {
+    return (await this.request('POST', `${this.sessionPath}/tools/${encodeURIComponent(toolName)}`, params)).json() as Promise<ToolResult>;
+  }
+
+  async respondToConfirmation(callId: string, outcome: ToolConfirmationOutcome): Promise<void> {
+    await this.request('POST', `${this.sessionPath}/confirm`, { callId, outcome });
+  }
+
+  async abort(): Promise<void> {
+    try {
+      await this.request('POST', `${this.sessionPath}/cancel`);
+    } catch (error) {
+      console.error('Failed to cancel the stream:', error);
+    }
+  }
+
+  async streamSSE(response: Response, prompt: PartListUnion, setHeaders?: boolean, context?: string) {
     if (setHeaders) {
       response.setHeader('Content-Type', 'text/event-stream');
       response.setHeader('Cache-Control', 'no-cache');
@@ -91,15 +248,7 @@ class DockerEngineService {
     }
 
     try {
-      const stream = await fetch(`http://localhost:${this.port}/docker/stream`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ prompt })
-      });
-
-      if (!stream.ok) {
-        throw new Error(`Stream request failed: ${stream.status} ${stream.statusText}`);
-      }
+      const stream = await this.request('POST', `${this.sessionPath}/stream`, { prompt, context });
 
       const reader = stream.body?.getReader();
       if (!reader) throw new Error('No response body');
@@ -120,44 +269,20 @@ class DockerEngineService {
     }
   }
 
-  async streamSocket(socket: Socket, prompt: string) {
+  async streamSocket(socket: Socket, prompt: PartListUnion, context?: string) {
     try {
-      const stream = await fetch(`http://localhost:${this.port}/docker/stream`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ prompt })
-      });
-
-      if (!stream.ok) {
-        throw new Error(`Stream request failed: ${stream.status} ${stream.statusText}`);
-      }
+      const stream = await this.request('POST', `${this.sessionPath}/stream`, { prompt, context });
 
-      const reader = stream.body?.getReader();
-      const decoder = new TextDecoder();
-      if (!reader) throw new Error("Reader not found");
+      if (!stream.body) throw new Error("Reader not found");
 
       try {
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-
-          // First decode UINT8 array into string
-          const decoded = decoder.decode(value, { stream: true });
-          if (this.config.debug) console.log("-- Decoded Chunk --: \n", decoded, "\n -- Decoded End --");
-
-          // Handle multiline SSE
-          const lines = decoded.split('\n');
-          for (const line of lines) {
-            if (this.config.debug) console.log("handling line: ", line);
-            // Check for formatting & parse
-            if (!line.startsWith('data: ')) continue;
-            const data = JSON.parse(line.slice('data: '.length));
-            socket.emit('stream-data', data);
-          }
+        // Events may be split across chunks, so parse the stream rather than each chunk
+        for await (const event of readEventStream(stream.body)) {
+          if (this.config.debug) console.log("handling event: ", event.event, event.data);
+          socket.emit('stream-data', JSON.parse(event.data));
         }
       } finally {
         socket.emit('stream-end');
-        reader.releaseLock();
       }
     } catch (error) {
       console.error('Stream error:', error);
@@ -165,69 +290,58 @@ class DockerEngineService {
     }
   }
 
-  async kill() {
-    if (this.containerId) {
-      const stopProcess = spawn('docker', ['stop', this.containerId]);
-      stopProcess.on('close', (code) => {
-        if (code !== 0) {
-          console.warn(`Failed to stop Docker container ${this.containerId}`);
-        } else {
-          if (this.config.debug) console.log(`Docker Container with id ${this.containerId} stopped.`);
-        }
-      })
+  /**
+   * Yields the container's output line by line, for debugging. With
+   * `follow`, keeps going until the container stops or the signal aborts.
+   */
+  logs(options: LogOptions = {}): AsyncGenerator<string, void, unknown> {
+    if (!this.containerId) {
+      throw new Error('Container not started, call init() first');
     }
-    this.dockerProcess?.kill();
+    return this.runtime.logs(this.containerId, options);
   }
 
-
-  private async healthCheck(maxRetries: number = 30, retryInterval: number = 1000): Promise<void> {
-    for (let i = 0; i < maxRetries; i++) {
+  /**
+   * Stops and removes the container, or hands a pooled one back to its pool.
+   */
+  async kill() {
+    if (this.lease) {
+      await this.lease.release();
+      return;
+    }
+    if (this.containerId) {
       try {
-        await fetch(`http://localhost:${this.port}/docker/health`, {
-          method: 'GET',
-          signal: AbortSignal.timeout(10000) // 5 second timeout per request
-        });
-        if (this.config.debug) console.log('Server is ready!');
-        return;
-      } catch (error) {
-        if (i === maxRetries - 1) {
-          throw new Error(`Server failed to become ready after ${maxRetries} attempts: ${error}`);
-        }
-        if (this.config.debug) console.warn(`Waiting for server... (attempt ${i + 1}/${maxRetries})`);
-        await new Promise(resolve => setTimeout(resolve, retryInterval));
+        await this.runtime.remove(this.containerId);
+        if (this.config.debug) console.log(`Container with id ${this.containerId} removed.`);
+      } catch {
+        console.warn(`Failed to remove container ${this.containerId}`);
       }
     }
   }
 
-  private async ensureImageExists(): Promise<void> {
-    return new Promise((resolve, reject) => {
-      const checkProcess = spawn('docker', ['images', '-q', 'gemini-engine-server'], {
-        stdio: 'pipe'
-      });
-
-      let imageExists = false;
-      checkProcess.stdout?.on('data', (data) => {
-        if (data.toString().trim()) {
-          imageExists = true;
-        }
-      });
-
-      checkProcess.on('close', (code) => {
-        if (code === 0) {
-          if (imageExists) {
-            resolve();
-          } else {
-            reject(new Error('Docker image "gemini-engine-server" not found. Please build it first with: npm run docker:build'));
-          }
-        } else {
-          reject(new Error('Failed to check for Docker image'));
-        }
-      });
+  private get sessionPath(): string {
+    return `/sessions/${encodeURIComponent(this.sessionId)}`;
+  }
 
-      checkProcess.on('error', (error) => {
-        reject(error);
-      });
+  // Throws with the server's `error` message and the status on failure
+  private async request(method: string, path: string, body?: unknown, signal?: AbortSignal): Promise<globalThis.Response> {
+    const response = await fetch(`${this.url}${path}`, {
+      method,
+      headers: body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal,
     });
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      let message = text || response.statusText;
+      try {
+        message = JSON.parse(text).error ?? message;
+      } catch {
+        // Not JSON, keep the text
+      }
+      throw Object.assign(new Error(`${method} ${path} failed: ${response.status} ${message}`), { status: response.status });
+    }
+    return response;
   }
 }
 
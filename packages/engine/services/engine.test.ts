@@ -0,0 +1,323 @@
+import { Content, GenerateContentResponse, Part } from '@google/genai';
+import { existsSync, mkdtempSync, readFileSync, rmSync, symlinkSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createEngine, EngineConfig, EngineEvent, EngineService, ToolConfirmationOutcome } from './engine.js';
+
+const response = (parts: Part[]) =>
+  Object.assign(new GenerateContentResponse(), { candidates: [{ content: { role: 'model', parts } }] });
+
+/**
+ * Replaces the model with scripted turns, one list of parts per request.
+ * Returns the contents of every request it was sent.
+ */
+const scriptModel = (engine: EngineService, turns: Part[][]): Content[][] => {
+  const requests: Content[][] = [];
+  const generator = engine['client'].getContentGenerator();
+  vi.spyOn(generator, 'generateContentStream').mockImplementation(async (request) => {
+    requests.push(structuredClone(request.contents as Content[]));
+    const parts = turns.shift();
+    if (!parts) throw new Error('The model was not expected to be called again');
+    return (async function* () {
+      yield response(parts);
+    })();
+  });
+  // Asked after a final answer whether the model wants to go on
+  vi.spyOn(generator, 'generateContent').mockResolvedValue(response([{ text: '{"reasoning":"","next_speaker":"user"}' }]));
+  vi.spyOn(generator, 'countTokens').mockResolvedValue({ totalTokens: 0 });
+  return requests;
+};
+
+const toolCall = (name: string, args: Record<string, unknown>, id = `${name}-${Math.random()}`): Part => ({
+  functionCall: { id, name, args },
+});
+
+// Reads a stream to its end, handing each event to `onEvent` before reading on
+const collect = async (
+  events: AsyncIterable<EngineEvent>,
+  onEvent?: (event: EngineEvent) => void | Promise<void>,
+): Promise<EngineEvent[]> => {
+  const collected: EngineEvent[] = [];
+  for await (const event of events) {
+    collected.push(event);
+    await onEvent?.(event);
+  }
+  return collected;
+};
+
+const types = (events: EngineEvent[]) => events.map((event) => event.type);
+
+describe('EngineService', () => {
+  let dir: string;
+  let engine: EngineService | undefined;
+
+  // Vertex with a project and location needs no network to initialize
+  const configure = (config: Partial<EngineConfig> = {}): EngineConfig => ({
+    dir,
+    vertexai: true,
+    project: 'test-project',
+    location: 'us-central1',
+    usageStatisticsEnabled: false,
+    coreTools: ['read_file', 'write_file', 'run_shell_command'],
+    debug: false,
+    ...config,
+  });
+
+  const start = async (config: Partial<EngineConfig> = {}) => {
+    engine = createEngine(configure(config));
+    await engine.initialize();
+    return engine;
+  };
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'engine-'));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await engine?.dispose();
+    engine = undefined;
+    vi.restoreAllMocks();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('initialize', () => {
+    it('should initialize once for concurrent first requests', async () => {
+      engine = createEngine(configure());
+      const refreshAuth = vi.spyOn(engine['config'], 'refreshAuth');
+
+      await Promise.all([engine.initialize(), engine.getTools(), engine.initialize()]);
+
+      expect(refreshAuth).toHaveBeenCalledTimes(1);
+    });
+
+    it('should try again after a failed initialization', async () => {
+      engine = createEngine(configure());
+      const refreshAuth = vi.spyOn(engine['config'], 'refreshAuth').mockRejectedValueOnce(new Error('offline'));
+
+      await expect(engine.initialize()).rejects.toThrow('offline');
+      await engine.initialize();
+
+      expect(refreshAuth).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('process-wide settings', () => {
+    it('should reject engines whose telemetry or usage statistics differ from a live engine', async () => {
+      await start();
+      const differing: Partial<EngineConfig>[] = [{ usageStatisticsEnabled: true }, { telemetry: { enabled: true } }];
+      for (const config of differing) {
+        expect(() => createEngine(configure(config))).toThrow('is shared by every engine in the process');
+      }
+      // Disabled telemetry is the same whatever its other fields say
+      const same = createEngine(configure({ telemetry: { enabled: false, logPrompts: false } }));
+      await same.dispose();
+    });
+  });
+
+  describe('streamWithToolEvents', () => {
+    it('should run tool calls and send their results back until the model answers', async () => {
+      writeFileSync(path.join(dir, 'a.txt'), 'first file');
+      writeFileSync(path.join(dir, 'b.txt'), 'second file');
+      const engine = await start();
+      const requests = scriptModel(engine, [
+        [{ text: 'Reading a.' }, toolCall('read_file', { absolute_path: path.join(dir, 'a.txt') }, 'call-a')],
+        [toolCall('read_file', { absolute_path: path.join(dir, 'b.txt') }, 'call-b')],
+        [{ text: 'Both files read.' }],
+      ]);
+
+      const events = await collect(engine.streamWithToolEvents('Read a.txt, then b.txt'));
+
+      expect(types(events)).toEqual([
+        'text', 'tool_request', 'tool_start', 'tool_result',
+        'tool_request', 'tool_start', 'tool_result',
+        'text', 'done',
+      ]);
+      expect(events.filter((event) => event.type === 'tool_result').map((event) => event.data)).toMatchObject([
+        { callId: 'call-a', name: 'read_file', success: true },
+        { callId: 'call-b', name: 'read_file', success: true },
+      ]);
+      expect(events.at(-1)).toMatchObject({ type: 'done', data: { turns: 3 } });
+
+      // Each tool result goes back to the model as a function response
+      expect(requests).toHaveLength(3);
+      expect(requests[1].at(-1)?.parts?.[0].functionResponse).toMatchObject({
+        id: 'call-a',
+        name: 'read_file',
+        response: { output: 'first file' },
+      });
+      expect(requests[2].at(-1)?.parts?.[0].functionResponse).toMatchObject({
+        id: 'call-b',
+        response: { output: 'second file' },
+      });
+    });
+
+    it('should start from the history passed with the prompt', async () => {
+      const engine = await start();
+      const requests = scriptModel(engine, [[{ text: 'Earlier answer.' }], [{ text: 'Fresh answer.' }]]);
+      await collect(engine.streamWithToolEvents('Earlier question'));
+
+      const history: Content[] = [
+        { role: 'user', parts: [{ text: 'Other question' }] },
+        { role: 'model', parts: [{ text: 'Other answer' }] },
+      ];
+      await collect(engine.streamWithToolEvents('Next question', undefined, { history }));
+
+      expect(requests[1].slice(0, -1)).toEqual(history);
+      expect(await engine.getHistory()).toEqual([
+        ...history,
+        { role: 'user', parts: [{ text: 'Next question' }] },
+        { role: 'model', parts: [{ text: 'Fresh answer.' }] },
+      ]);
+    });
+
+    it('should report a failing tool call and let the model carry on', async () => {
+      const engine = await start();
+      const requests = scriptModel(engine, [
+        [toolCall('no_such_tool', {}, 'call-missing')],
+        [{ text: 'That tool does not exist.' }],
+      ]);
+
+      const events = await collect(engine.streamWithToolEvents('Use a tool'));
+
+      expect(types(events)).toEqual(['tool_request', 'tool_error', 'text', 'done']);
+      expect(events[1].data).toMatchObject({ callId: 'call-missing', error: expect.stringContaining('no_such_tool') });
+      expect(requests[1].at(-1)?.parts?.[0].functionResponse).toMatchObject({ id: 'call-missing' });
+    });
+  });
+
+  describe('@path mentions', () => {
+    it('should include project files and skip links that lead outside the project', async () => {
+      const outside = mkdtempSync(path.join(tmpdir(), 'engine-outside-'));
+      writeFileSync(path.join(outside, 'secret.txt'), 'secret');
+      writeFileSync(path.join(dir, 'notes.txt'), 'notes');
+      symlinkSync(path.join(outside, 'secret.txt'), path.join(dir, 'escape.txt'));
+      const engine = await start();
+      const requests = scriptModel(engine, [[{ text: 'Done.' }]]);
+
+      try {
+        const events = await collect(engine.streamWithToolEvents('Compare @notes.txt and @escape.txt'));
+
+        expect(events[0]).toEqual({
+          type: 'context_files',
+          data: { included: ['notes.txt'], skipped: [{ path: 'escape.txt', reason: 'outside_project' }] },
+        });
+        expect(JSON.stringify(requests[0]).includes('secret')).toBe(false);
+      } finally {
+        rmSync(outside, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('tool confirmations', () => {
+    // Answers every confirmation with `outcome`
+    const answer = (engine: EngineService, outcome: ToolConfirmationOutcome) => async (event: EngineEvent) => {
+      if (event.type === 'tool_confirmation') {
+        await engine.respondToConfirmation(event.data.callId, outcome);
+      }
+    };
+
+    it('should pause until the call is approved', async () => {
+      const file = path.join(dir, 'out.txt');
+      const engine = await start();
+      scriptModel(engine, [
+        [toolCall('write_file', { file_path: file, content: 'hello' }, 'call-write')],
+        [{ text: 'Written.' }],
+      ]);
+
+      const events = await collect(engine.streamWithToolEvents('Write out.txt'), async (event) => {
+        if (event.type === 'tool_confirmation') {
+          // Nothing runs before the answer
+          expect(existsSync(file)).toBe(false);
+          expect(event.data).toMatchObject({ callId: 'call-write', name: 'write_file', details: { type: 'edit' } });
+          await engine.respondToConfirmation('call-write', ToolConfirmationOutcome.ProceedOnce);
+        }
+      });
+
+      expect(types(events)).toEqual(['tool_request', 'tool_confirmation', 'tool_start', 'tool_result', 'text', 'done']);
+      expect(readFileSync(file, 'utf-8')).toBe('hello');
+    });
+
+    it('should not run a denied call and tell the model so', async () => {
+      const file = path.join(dir, 'out.txt');
+      const engine = await start();
+      const requests = scriptModel(engine, [
+        [toolCall('write_file', { file_path: file, content: 'hello' }, 'call-write')],
+        [{ text: 'Understood, not writing it.' }],
+      ]);
+
+      const events = await collect(engine.streamWithToolEvents('Write out.txt'), answer(engine, ToolConfirmationOutcome.Cancel));
+
+      expect(types(events)).toEqual(['tool_request', 'tool_confirmation', 'tool_error', 'text', 'done']);
+      expect(existsSync(file)).toBe(false);
+      expect(requests[1].at(-1)?.parts?.[0].functionResponse).toMatchObject({
+        id: 'call-write',
+        response: { error: expect.stringContaining('User did not allow tool call') },
+      });
+    });
+
+    it('should approve the same kind of call for the rest of the session after ProceedAlways', async () => {
+      const engine = await start();
+      scriptModel(engine, [
+        [toolCall('write_file', { file_path: path.join(dir, 'a.txt'), content: 'a' })],
+        [toolCall('write_file', { file_path: path.join(dir, 'b.txt'), content: 'b' })],
+        [{ text: 'Both written.' }],
+        [toolCall('write_file', { file_path: path.join(dir, 'c.txt'), content: 'c' })],
+        [{ text: 'Written again.' }],
+      ]);
+
+      const first = await collect(engine.streamWithToolEvents('Write a and b'), answer(engine, ToolConfirmationOutcome.ProceedAlways));
+      expect(types(first).filter((type) => type === 'tool_confirmation')).toHaveLength(1);
+      expect(types(first).filter((type) => type === 'tool_result')).toHaveLength(2);
+
+      // Later prompts of the session are approved too
+      const second = await collect(engine.streamWithToolEvents('Write c'));
+      expect(types(second)).toEqual(['tool_request', 'tool_start', 'tool_result', 'text', 'done']);
+      expect(['a', 'b', 'c'].map((name) => readFileSync(path.join(dir, `${name}.txt`), 'utf-8'))).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should reject answers to calls that are not waiting', async () => {
+      const engine = await start();
+      await expect(engine.respondToConfirmation('unknown', ToolConfirmationOutcome.ProceedOnce)).rejects.toThrow(
+        'No pending confirmation for tool call unknown',
+      );
+    });
+  });
+
+  describe('abort', () => {
+    it('should cancel a running tool and end with cancelled, then done', async () => {
+      const engine = await start({ approvalMode: 'yolo' });
+      const requests = scriptModel(engine, [[toolCall('run_shell_command', { command: 'sleep 30' }, 'call-sleep')]]);
+
+      const startedAt = Date.now();
+      const events = await collect(engine.streamWithToolEvents('Wait a while'), (event) => {
+        if (event.type === 'tool_start') {
+          engine.abort();
+        }
+      });
+
+      expect(types(events).slice(0, 2)).toEqual(['tool_request', 'tool_start']);
+      expect(types(events).slice(-2)).toEqual(['cancelled', 'done']);
+      expect(events.at(-1)).toMatchObject({ type: 'done', data: { finishReason: 'CANCELLED', turns: 1 } });
+      // The shell command is killed rather than waited for
+      expect(Date.now() - startedAt).toBeLessThan(10_000);
+      // and its result never goes back to the model
+      expect(requests).toHaveLength(1);
+    });
+
+    it('should cancel a call that is waiting for confirmation', async () => {
+      const engine = await start();
+      scriptModel(engine, [[toolCall('write_file', { file_path: path.join(dir, 'out.txt'), content: 'hello' })]]);
+
+      const events = await collect(engine.streamWithToolEvents('Write out.txt'), (event) => {
+        if (event.type === 'tool_confirmation') {
+          engine.abort();
+        }
+      });
+
+      expect(types(events).slice(-2)).toEqual(['cancelled', 'done']);
+      expect(existsSync(path.join(dir, 'out.txt'))).toBe(false);
+    });
+  });
+});
@@ -1,16 +1,44 @@
 import {
   ApprovalMode,
   AuthType,
-  ContentGeneratorConfig,
+  ChatCompressionInfo,
+  CompletedToolCall,
+  ContentGeneratorCredentials,
   Config as CoreConfig,
+  CoreToolScheduler,
+  DEFAULT_CONTEXT_FILENAME,
   DEFAULT_GEMINI_FLASH_MODEL,
   DEFAULT_GEMINI_MODEL,
+  DEFAULT_OTLP_ENDPOINT,
+  DEFAULT_TELEMETRY_TARGET,
   GeminiClient,
+  GeminiEventType,
   loadServerHierarchicalMemory,
-  ToolRegistry
+  MCPServerConfig,
+  TelemetrySettings,
+  ThoughtSummary,
+  ToolCallConfirmationDetails,
+  ToolCallRequestInfo,
+  ToolConfirmationOutcome,
+  ToolEditConfirmationDetails,
+  ToolExecuteConfirmationDetails,
+  ToolInfoConfirmationDetails,
+  ToolMcpConfirmationDetails,
+  ToolRegistry,
+  ToolResult,
+  ToolResultDisplay,
+  setGeminiMdFilename,
+  UnauthorizedError,
+  WaitingToolCall
 } from '@google/gemini-cli-core';
-import { Content, FunctionDeclaration } from '@google/genai';
+import { Content, FinishReason, FunctionDeclaration, GenerateContentResponseUsageMetadata, Part, PartListUnion } from '@google/genai';
 import { randomUUID } from 'node:crypto';
+import { FSWatcher, watch } from 'node:fs';
+import type { ContainerRuntimeConfig } from './containerRuntime.js';
+import type { SecurityConfig } from './securityProfile.js';
+import { ContextFilesData, ResolvedMessage, resolveMentions, toParts } from './mentions.js';
+import { FileSessionStore, SessionStore } from './sessionStore.js';
+import { TurnQueue } from './turnQueue.js';
 
 // Tool usage data structures
 export interface ToolRequestData {
@@ -42,44 +70,247 @@ export interface ToolErrorData {
   duration: number;
 }
 
+// Confirmation details as sent to clients, without the core onConfirm callback
+export type ToolConfirmationDetailsData =
+  | Omit<ToolEditConfirmationDetails, 'onConfirm'>
+  | Omit<ToolExecuteConfirmationDetails, 'onConfirm'>
+  | Omit<ToolMcpConfirmationDetails, 'onConfirm'>
+  | Omit<ToolInfoConfirmationDetails, 'onConfirm'>;
+
+export interface ToolConfirmationData {
+  callId: string;
+  name: string;
+  args: Record<string, unknown>;
+  details: ToolConfirmationDetailsData;
+}
+
+export interface CancelledData {
+  reason: string;
+}
+
+export interface QueuedData {
+  // Prompts ahead of this one, including the running one
+  position: number;
+}
+
+export interface TokenCounts {
+  promptTokens: number;
+  candidateTokens: number;
+  cachedTokens: number;
+  thoughtTokens: number;
+  toolTokens: number;
+  totalTokens: number;
+}
+
+// Usage of a single model response
+export interface UsageData extends TokenCounts {
+  model: string;
+  latencyMs: number;
+}
+
+// Session totals for one model, as returned by getUsage()
+export interface ModelUsage extends TokenCounts {
+  requests: number;
+  latencyMs: number;
+}
+
+export type EngineErrorCode =
+  | 'rate_limited'
+  | 'unauthorized'
+  | 'invalid_request'
+  | 'not_found'
+  | 'server_error'
+  | 'max_turns'
+  | 'busy'
+  | 'internal';
+
+export interface ErrorData {
+  code: EngineErrorCode;
+  // HTTP status of the failed model request, when there was one
+  status?: number;
+  // Whether sending the same prompt again may succeed
+  retryable: boolean;
+  message: string;
+}
+
+export interface DoneData {
+  // Finish reason of the last model response, or why the stream stopped early
+  finishReason: FinishReason | 'CANCELLED' | 'ERROR' | 'MAX_TURNS';
+  // Model <-> tool round trips in this stream
+  turns: number;
+  usage: ModelUsage;
+}
+
+export type EngineEvent =
+  | { type: 'text'; data: string }
+  | { type: 'thought'; data: ThoughtSummary }
+  | { type: 'tool_request'; data: ToolRequestData }
+  | { type: 'tool_start'; data: ToolStartData }
+  | { type: 'tool_result'; data: ToolResultData }
+  | { type: 'tool_error'; data: ToolErrorData }
+  | { type: 'tool_confirmation'; data: ToolConfirmationData }
+  | { type: 'context_files'; data: ContextFilesData }
+  | { type: 'chat_compressed'; data: ChatCompressionInfo | null }
+  | { type: 'usage'; data: UsageData }
+  | { type: 'cancelled'; data: CancelledData }
+  | { type: 'queued'; data: QueuedData }
+  | { type: 'error'; data: ErrorData }
+  | { type: 'done'; data: DoneData };
+
+// Upper bound on model <-> tool round trips for a single prompt
+const MAX_TOOL_TURNS = 100;
+
+// Settings core keeps in module state rather than per Config: the context
+// file name(s), the proxy installed as the global fetch dispatcher, the
+// telemetry SDK and the usage statistics logger singleton. All engines in a
+// process must agree on them
+type ProcessWideSetting = 'contextFileName' | 'proxy' | 'telemetry' | 'usageStatisticsEnabled';
+const processWide = new Map<ProcessWideSetting, { value: string; engines: number }>();
+
+// Shorthand aliases, or any full Gemini model name
+export type EngineModel = 'pro' | 'flash' | 'mini' | (string & {});
+
+export interface StreamOptions {
+  signal?: AbortSignal;
+  // Model to use for this call only
+  model?: EngineModel;
+  // Emit `thought` events from thinking models. Defaults to true
+  includeThoughts?: boolean;
+  // Replaces the session's history once the prompt has its turn, so it
+  // can't change under a prompt that is still running
+  history?: Content[];
+}
+
 export type EngineConfig = {
   dir: string;
   fullContext?: boolean;
-  model?: 'pro' | 'flash' | 'mini';
+  model?: EngineModel;
   apikey?: string;
+  vertexai?: boolean;
+  project?: string;
+  location?: string;
   sessionId?: string;
+  // Where history is persisted after every turn and restored from on start.
+  // Use sessionDir for a FileSessionStore when the config has to be JSON.
+  sessionStore?: SessionStore;
+  sessionDir?: string;
+  approvalMode?: 'default' | 'autoEdit' | 'yolo';
+  watchMemory?: boolean;
+  // What a prompt does while another one runs: wait its turn, or fail with a `busy` error. Default: 'queue'
+  queuePolicy?: 'queue' | 'reject';
+  // Container CLI of DockerEngineService. Default: docker
+  runtime?: ContainerRuntimeConfig;
+  // Hardening of DockerEngineService containers: a preset or a profile. Default: 'open'
+  security?: SecurityConfig;
   debug: boolean;
+
+  // Passed through to the core Config
+  coreTools?: string[];
+  excludeTools?: string[];
+  toolDiscoveryCommand?: string;
+  toolCallCommand?: string;
+  mcpServerCommand?: string;
+  mcpServers?: Record<string, MCPServerConfig>;
+  contextFileName?: string | string[];
+  fileFiltering?: {
+    respectGitIgnore?: boolean;
+    enableRecursiveFileSearch?: boolean;
+  };
+  checkpointing?: boolean;
+  telemetry?: TelemetrySettings;
+  usageStatisticsEnabled?: boolean;
+  proxy?: string;
+  embeddingModel?: string;
 }
 
 
-class EngineService {
+/**
+ * What EngineService and DockerEngineService have in common, so code written
+ * against one works with the other.
+ */
+export interface Engine {
+  getSessionId(): string;
+  stream(message: PartListUnion, context?: string, options?: StreamOptions): AsyncGenerator<string, void, unknown>;
+  streamWithToolEvents(message: PartListUnion, context?: string, options?: StreamOptions): AsyncGenerator<EngineEvent, void, unknown>;
+  getHistory(): Promise<Content[]>;
+  setHistory(history: Content[]): Promise<void>;
+  clearHistory(): Promise<void>;
+  getTools(): Promise<FunctionDeclaration[]>;
+  executeTool(toolName: string, params: Record<string, unknown>): Promise<ToolResult>;
+  respondToConfirmation(callId: string, outcome: ToolConfirmationOutcome): Promise<void>;
+  abort(): void | Promise<void>;
+}
+
+class EngineService implements Engine {
   private client: GeminiClient;
   private config: CoreConfig;
-  private apikey: string;
+  private authType: AuthType;
+  private credentials: ContentGeneratorCredentials;
   private sessionId: string;
+  private sessionStore?: SessionStore;
   private debug: boolean;
+  private watchMemory: boolean;
+  // Whether this engine still counts towards the process-wide settings
+  private holdsProcessWide = false;
 
   private toolRegistry?: ToolRegistry;
   private initialized = false;
+  // The initialization in progress, shared by requests that arrive meanwhile
+  private initializing?: Promise<void>;
   private memoryContent: string = '';
+  private memoryWatchers: FSWatcher[] = [];
+  // Set when context files change; the chat is rebuilt before the next turn
+  private memoryStale = false;
+
+  // One controller per in-flight stream, so abort() can reach all of them
+  private activeControllers = new Set<AbortController>();
+  // Prompts take turns on the shared chat
+  private turns = new TurnQueue();
+  private queuePolicy: 'queue' | 'reject';
+
+  // Tool calls waiting on respondToConfirmation, keyed by callId
+  private pendingConfirmations = new Map<string, WaitingToolCall>();
+  // Confirmation keys the client answered with ProceedAlways this session
+  private alwaysApproved = new Set<string>();
+
+  // Token and latency totals for this session, keyed by model name
+  private usage = new Map<string, ModelUsage>();
 
   constructor(config: EngineConfig) {
-    const { dir, fullContext, model, apikey, sessionId, debug } = config;
+    validateEngineConfig(config);
+    const { dir, fullContext, model, apikey, vertexai, project, location, sessionId, approvalMode, watchMemory, debug } = config;
 
     if (debug) {
       console.log(`⚙️ Configuring EngineService at ${dir}`);
     }
 
-    if (!apikey) {
+    // Credentials are resolved once, here, and stay on this instance. Core
+    // reads none of them from process.env when they are given explicitly
+    if (vertexai) {
+      this.authType = AuthType.USE_VERTEX_AI;
+      this.credentials = apikey || project || location
+        ? { apiKey: apikey, project, location }
+        : {
+          apiKey: process.env.GOOGLE_API_KEY,
+          project: process.env.GOOGLE_CLOUD_PROJECT,
+          location: process.env.GOOGLE_CLOUD_LOCATION,
+        };
+      const { apiKey, project: vertexProject, location: vertexLocation } = this.credentials;
+      if (!apiKey && !(vertexProject && vertexLocation)) {
+        throw new Error('Vertex AI needs an API key, or a project and location');
+      }
+    } else if (!apikey) {
       if (!process.env.GEMINI_API_KEY) {
         throw new Error('GEMINI_API_KEY is not set');
       }
-      this.apikey = process.env.GEMINI_API_KEY;
+      this.authType = AuthType.USE_GEMINI;
+      this.credentials = { apiKey: process.env.GEMINI_API_KEY };
       if (debug) {
-        console.log(`⚙️ GEMINI_API_KEY set to ${this.apikey.substring(0, 6)}***`);
+        console.log(`⚙️ GEMINI_API_KEY set to ${process.env.GEMINI_API_KEY.substring(0, 6)}***`);
       }
     } else {
-      this.apikey = apikey;
+      this.authType = AuthType.USE_GEMINI;
+      this.credentials = { apiKey: apikey };
     }
 
     if (!sessionId || !sessionId.trim()) {
@@ -90,26 +321,53 @@ class EngineService {
     } else {
       this.sessionId = sessionId;
     }
+    this.sessionStore = config.sessionStore ?? (config.sessionDir ? new FileSessionStore(config.sessionDir) : undefined);
 
-    this.config = new CoreConfig({
-      targetDir: dir,
-      approvalMode: ApprovalMode.DEFAULT,
-      debugMode: debug,
-      fullContext,
-      sessionId: this.sessionId,
-      cwd: dir,
-      model: model === 'pro' ? DEFAULT_GEMINI_MODEL : (model === 'mini' ? "gemini-2.0-flash" : DEFAULT_GEMINI_FLASH_MODEL)
-    })
+    claimProcessWide(config);
+    try {
+      this.config = new CoreConfig({
+        targetDir: dir,
+        approvalMode: (approvalMode as ApprovalMode | undefined) ?? ApprovalMode.DEFAULT,
+        debugMode: debug,
+        fullContext,
+        sessionId: this.sessionId,
+        cwd: dir,
+        model: resolveModel(model),
+        coreTools: config.coreTools,
+        excludeTools: config.excludeTools,
+        toolDiscoveryCommand: config.toolDiscoveryCommand,
+        toolCallCommand: config.toolCallCommand,
+        mcpServerCommand: config.mcpServerCommand,
+        mcpServers: config.mcpServers,
+        contextFileName: config.contextFileName,
+        fileFiltering: config.fileFiltering,
+        checkpointing: config.checkpointing,
+        telemetry: config.telemetry,
+        usageStatisticsEnabled: config.usageStatisticsEnabled,
+        proxy: config.proxy,
+        embeddingModel: config.embeddingModel,
+      })
+    } catch (error) {
+      releaseProcessWide();
+      throw error;
+    }
+    this.holdsProcessWide = true;
 
     this.client = new GeminiClient(this.config);
 
     this.debug = debug;
+    this.watchMemory = watchMemory ?? false;
+    this.queuePolicy = config.queuePolicy ?? 'queue';
 
     if (debug) {
       console.log(`⚙️ Configured engine with Session ID: ${this.sessionId}`);
     }
   }
 
+  getSessionId(): string {
+    return this.sessionId;
+  }
+
   async getHistory(): Promise<Content[]> {
     await this.ensureInitialized();
     return this.client.getHistory();
@@ -118,98 +376,461 @@ class EngineService {
   async setHistory(history: Content[]): Promise<void> {
     await this.ensureInitialized();
     await this.client.setHistory(history);
+    await this.persistSession();
   }
 
   async clearHistory(): Promise<void> {
     await this.ensureInitialized();
     await this.client.resetChat();
+    await this.persistSession();
+  }
+
+  /**
+   * Summarizes the conversation so far to free up context window space.
+   * Returns null when there was nothing to compress.
+   */
+  async compressHistory(): Promise<ChatCompressionInfo | null> {
+    await this.ensureInitialized();
+    const info = await this.client.tryCompressChat(true);
+    if (info) {
+      await this.persistSession();
+      if (this.debug) {
+        console.log(`🗜️ Compressed history from ${info.originalTokenCount} to ${info.newTokenCount} tokens`);
+      }
+    }
+    return info;
   }
 
   async *stream(
-    message: string,
+    message: PartListUnion,
     context?: string,
+    options: StreamOptions = {},
   ): AsyncGenerator<string, void, unknown> {
     if (this.debug) {
-      console.log('💬 Starting stream for message:', message.substring(0, 50) + '...');
+      console.log('💬 Starting stream for message:', describeMessage(message));
     }
-    
-    await this.ensureInitialized();
 
-    const fullMessage = context ? `${message}\n\nAdditional Context: ${context}` : message;
+    const ticket = this.turns.enter();
+    if (ticket.position > 0 && this.queuePolicy === 'reject') {
+      ticket.leave();
+      throw new Error(`Session ${this.sessionId} is already running a prompt`);
+    }
+    const abortController = this.createAbortController(options.signal);
+    let previousModel: string | undefined;
 
-    const abortController = new AbortController();
-    
     try {
+      while (ticket.position > 0) {
+        await ticket.changed(abortController.signal);
+        if (abortController.signal.aborted) return;
+      }
+
+      await this.ensureInitialized();
+      if (options.history) {
+        // Core appends to the array it is given, which is the caller's
+        await this.client.setHistory([...options.history]);
+      }
+      await this.refreshStaleMemory(true);
+      previousModel = this.config.getModel();
+      if (options.model) {
+        await this.switchModel(resolveModel(options.model));
+      }
+
+      const { parts } = await this.buildRequest(message, context);
       const chat = this.client.getChat();
+      const startTime = Date.now();
+      let usageMetadata: GenerateContentResponseUsageMetadata | undefined;
       const stream = await chat.sendMessageStream({
-        message: { text: fullMessage },
+        message: parts,
         config: {
           abortSignal: abortController.signal,
         },
       });
 
       for await (const response of stream) {
-        const text = response.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (abortController.signal.aborted) {
+          return;
+        }
+        usageMetadata = response.usageMetadata ?? usageMetadata;
+        // Thinking models interleave thought parts; only the answer is yielded here
+        const text = (response.candidates?.[0]?.content?.parts ?? [])
+          .filter((part) => !part.thought)
+          .map((part) => part.text ?? '')
+          .join('');
         if (text) {
           yield text;
         }
       }
+
+      if (usageMetadata) {
+        this.recordUsage(usageMetadata, Date.now() - startTime);
+      }
     } catch (error) {
+      if (abortController.signal.aborted) {
+        if (this.debug) {
+          console.log('🛑 Stream cancelled');
+        }
+        return;
+      }
       console.error('❌ Chat stream failed:', error);
       throw new Error(`Chat stream failed: ${error}`);
+    } finally {
+      this.activeControllers.delete(abortController);
+      if (previousModel && options.model && this.config.getModel() !== previousModel) {
+        await this.switchModel(previousModel);
+      }
+      await this.persistSession();
+      ticket.leave();
     }
   }
 
   async *streamWithToolEvents(
-    message: string,
+    message: PartListUnion,
     context?: string,
-  ): AsyncGenerator<{ type: 'text' | 'tool_request' | 'tool_start' | 'tool_result' | 'tool_error' | 'chat_compressed'; data: string | ToolRequestData | ToolStartData | ToolResultData | ToolErrorData | unknown }, void, unknown> {
+    options: StreamOptions = {},
+  ): AsyncGenerator<EngineEvent, void, unknown> {
     if (this.debug) {
-      console.log('💬 Starting stream with tool events for message:', message.substring(0, 50) + '...');
+      console.log('💬 Starting stream with tool events for message:', describeMessage(message));
     }
     
-    await this.ensureInitialized();
+    const abortController = this.createAbortController(options.signal);
+    const ticket = this.turns.enter();
+    const cancelled: EngineEvent = { type: 'cancelled', data: { reason: 'Stream was cancelled' } };
+    let previousModel: string | undefined;
 
-    const fullMessage = context ? `${message}\n\nAdditional Context: ${context}` : message;
-
-    const abortController = new AbortController();
+    let turns = 0;
+    let finishReason: DoneData['finishReason'] = FinishReason.FINISH_REASON_UNSPECIFIED;
+    const usage = emptyUsage();
+    const done = (reason: DoneData['finishReason']): EngineEvent =>
+      ({ type: 'done', data: { finishReason: reason, turns, usage } });
     
     try {
-      const chat = this.client.getChat();
-      const stream = await chat.sendMessageStream({
-        message: { text: fullMessage },
-        config: {
-          abortSignal: abortController.signal,
-        },
-      });
-
-      for await (const response of stream) {
-        const text = response.candidates?.[0]?.content?.parts?.[0]?.text;
-        if (text) {
-          yield { type: 'text', data: text };
+      if (ticket.position > 0 && this.queuePolicy === 'reject') {
+        yield { type: 'error', data: { code: 'busy', retryable: true, message: `Session ${this.sessionId} is already running a prompt` } };
+        yield done('ERROR');
+        return;
+      }
+      while (ticket.position > 0) {
+        yield { type: 'queued', data: { position: ticket.position } };
+        await ticket.changed(abortController.signal);
+        if (abortController.signal.aborted) {
+          yield cancelled;
+          yield done('CANCELLED');
+          return;
         }
-        
-        const functionCalls = response.functionCalls ?? [];
-        for (const fnCall of functionCalls) {
-          yield {
-            type: 'tool_request',
-            data: {
-              callId: fnCall.id || `${fnCall.name}-${Date.now()}`,
-              name: fnCall.name || 'unknown',
-              args: fnCall.args || {}
+      }
+
+      // Setup failures are reported as error events like everything else
+      await this.ensureInitialized();
+      if (options.history) {
+        // Core appends to the array it is given, which is the caller's
+        await this.client.setHistory([...options.history]);
+      }
+      await this.refreshStaleMemory(true);
+      previousModel = this.config.getModel();
+      if (options.model) {
+        await this.switchModel(resolveModel(options.model));
+      }
+
+      const { parts, files } = await this.buildRequest(message, context);
+      if (files) {
+        yield { type: 'context_files', data: files };
+      }
+      let request: PartListUnion = parts;
+
+      while (turns < MAX_TOOL_TURNS) {
+        turns++;
+        const toolCallRequests: ToolCallRequestInfo[] = [];
+
+        for await (const event of this.client.sendMessageStream(request, abortController.signal)) {
+          switch (event.type) {
+            case GeminiEventType.Content:
+              yield { type: 'text', data: event.value };
+              break;
+            case GeminiEventType.ToolCallRequest: {
+              const { callId, name, args } = event.value;
+              toolCallRequests.push(event.value);
+              yield { type: 'tool_request', data: { callId, name, args } };
+              if (this.debug) {
+                console.log(`🕒 Tool call requested: ${name}`);
+              }
+              break;
             }
-          };
-          if (this.debug) {
-            console.log(`🕒 Tool call requested: ${fnCall.name}`);
+            case GeminiEventType.Thought:
+              if (options.includeThoughts ?? true) {
+                yield { type: 'thought', data: event.value };
+              }
+              break;
+            case GeminiEventType.ChatCompressed:
+              yield { type: 'chat_compressed', data: event.value };
+              break;
+            case GeminiEventType.UsageMetadata: {
+              const { apiTimeMs, ...usageMetadata } = event.value;
+              const responseUsage = this.recordUsage(usageMetadata, apiTimeMs ?? 0);
+              addUsage(usage, responseUsage);
+              yield { type: 'usage', data: responseUsage };
+              break;
+            }
+            case GeminiEventType.Finished:
+              finishReason = event.value;
+              break;
+            case GeminiEventType.Error:
+              console.error('❌ Chat stream failed:', event.value.error.message);
+              yield { type: 'error', data: toErrorData(event.value.error.message, event.value.error.status) };
+              yield done('ERROR');
+              return;
+            case GeminiEventType.UserCancelled:
+              yield cancelled;
+              yield done('CANCELLED');
+              return;
+            default:
+              break;
           }
         }
+
+        // No tool calls means the model has produced its final answer
+        if (toolCallRequests.length === 0) {
+          yield done(finishReason);
+          return;
+        }
+
+        request = yield* this.runToolCalls(toolCallRequests, abortController.signal);
+        if (abortController.signal.aborted) {
+          yield cancelled;
+          yield done('CANCELLED');
+          return;
+        }
       }
+
+      yield {
+        type: 'error',
+        data: { code: 'max_turns', retryable: false, message: `Exceeded maximum of ${MAX_TOOL_TURNS} tool turns` },
+      };
+      yield done('MAX_TURNS');
     } catch (error) {
+      if (abortController.signal.aborted) {
+        if (this.debug) {
+          console.log('🛑 Stream cancelled');
+        }
+        yield cancelled;
+        yield done('CANCELLED');
+        return;
+      }
       console.error('❌ Chat stream failed:', error);
-      throw new Error(`Chat stream failed: ${error}`);
+      yield { type: 'error', data: toErrorData(error) };
+      yield done('ERROR');
+    } finally {
+      this.activeControllers.delete(abortController);
+      if (previousModel && options.model && this.config.getModel() !== previousModel) {
+        await this.switchModel(previousModel);
+      }
+      await this.persistSession();
+      ticket.leave();
+    }
+  }
+
+  /**
+   * Switches the model used for all following turns of this engine.
+   */
+  async setModel(model: EngineModel): Promise<void> {
+    await this.ensureInitialized();
+    await this.switchModel(resolveModel(model));
+  }
+
+  getModel(): string {
+    return this.config.getModel();
+  }
+
+  getDir(): string {
+    return this.config.getTargetDir();
+  }
+
+  /**
+   * Returns token and latency totals for this session, keyed by model name.
+   */
+  getUsage(): Record<string, ModelUsage> {
+    return Object.fromEntries([...this.usage].map(([model, totals]) => [model, { ...totals }]));
+  }
+
+  /**
+   * Cancels every in-flight stream on this engine, including running tools
+   * and tool calls still waiting for confirmation.
+   */
+  abort(): void {
+    if (this.debug && this.activeControllers.size > 0) {
+      console.log(`🛑 Aborting ${this.activeControllers.size} active stream(s)`);
+    }
+    for (const controller of this.activeControllers) {
+      controller.abort();
+    }
+  }
+
+  isStreaming(): boolean {
+    return this.activeControllers.size > 0;
+  }
+
+  /**
+   * Whether a prompt sent now would fail with `busy` instead of waiting for
+   * the running one, see the queuePolicy config.
+   */
+  wouldRejectPrompt(): boolean {
+    return this.queuePolicy === 'reject' && this.turns.size() > 0;
+  }
+
+  /**
+   * Releases what the engine holds outside the process: aborts streams (which
+   * kills running shell commands), stops watching context files and closes
+   * MCP servers. The engine should not be used afterwards.
+   */
+  async dispose(): Promise<void> {
+    this.abort();
+    for (const watcher of this.memoryWatchers) {
+      watcher.close();
+    }
+    this.memoryWatchers = [];
+    // Wait for an initialization in progress, so the servers it starts are closed too
+    await this.initializing?.catch(() => {});
+    await this.toolRegistry?.dispose();
+    if (this.holdsProcessWide) {
+      this.holdsProcessWide = false;
+      releaseProcessWide();
+    }
+    if (this.debug) {
+      console.log(`🧹 Disposed engine for session ${this.sessionId}`);
     }
   }
 
+  /**
+   * Runs the requested tool calls through the core scheduler, yielding
+   * start/result/error events as they happen. Returns the function response
+   * parts to send back to the model.
+   */
+  private async *runToolCalls(
+    requests: ToolCallRequestInfo[],
+    signal: AbortSignal,
+  ): AsyncGenerator<EngineEvent, Part[], unknown> {
+    const pending: EngineEvent[] = [];
+    const started = new Set<string>();
+    const confirming = new Set<string>();
+    let completed: CompletedToolCall[] | null = null;
+    let wake: (() => void) | null = null;
+
+    const notify = () => {
+      wake?.();
+      wake = null;
+    };
+
+    const scheduler = new CoreToolScheduler({
+      config: this.config,
+      toolRegistry: this.config.getToolRegistry(),
+      approvalMode: this.config.getApprovalMode(),
+      getPreferredEditor: () => undefined,
+      onToolCallsUpdate: (toolCalls) => {
+        for (const call of toolCalls) {
+          if (call.status === 'executing' && !started.has(call.request.callId)) {
+            started.add(call.request.callId);
+            const { callId, name, args } = call.request;
+            pending.push({ type: 'tool_start', data: { callId, name, args } });
+            if (this.debug) {
+              console.log(`🚀 Tool started: ${name}`);
+            }
+          } else if (call.status === 'awaiting_approval' && !confirming.has(call.request.callId)) {
+            confirming.add(call.request.callId);
+            if (signal.aborted) {
+              void call.confirmationDetails.onConfirm(ToolConfirmationOutcome.Cancel);
+              continue;
+            }
+            const confirmation = this.requestConfirmation(call);
+            if (confirmation) {
+              pending.push(confirmation);
+            }
+          }
+        }
+        notify();
+      },
+      onAllToolCallsComplete: (calls) => {
+        completed = calls;
+        notify();
+      },
+    });
+
+    // Nobody will answer confirmations once the stream is cancelled
+    const cancelConfirmations = () => {
+      for (const callId of confirming) {
+        const call = this.pendingConfirmations.get(callId);
+        if (call) {
+          this.pendingConfirmations.delete(callId);
+          void call.confirmationDetails.onConfirm(ToolConfirmationOutcome.Cancel);
+        }
+      }
+    };
+    signal.addEventListener('abort', cancelConfirmations);
+
+    try {
+      await scheduler.schedule(requests, signal);
+
+      while (true) {
+        while (pending.length > 0) {
+          yield pending.shift()!;
+        }
+        if (completed) break;
+        await new Promise<void>((resolve) => (wake = resolve));
+      }
+    } finally {
+      signal.removeEventListener('abort', cancelConfirmations);
+    }
+
+    const responseParts: Part[] = [];
+    for (const call of completed as CompletedToolCall[]) {
+      const { callId, name, args } = call.request;
+      const duration = call.durationMs ?? 0;
+
+      if (call.status === 'success') {
+        yield {
+          type: 'tool_result',
+          data: { callId, name, args, result: displayToString(call.response.resultDisplay), duration, success: true }
+        };
+      } else {
+        const error = call.response.error?.message
+          ?? (call.status === 'cancelled' ? 'Tool call was cancelled' : 'Tool call failed');
+        yield { type: 'tool_error', data: { callId, name, args, error, duration } };
+      }
+      if (this.debug) {
+        console.log(`🏁 Tool ${name} finished with status ${call.status} in ${duration}ms`);
+      }
+
+      responseParts.push(...toParts(call.response.responseParts));
+    }
+
+    return responseParts;
+  }
+
+  /**
+   * Answers a `tool_confirmation` event. The stream stays paused until every
+   * pending confirmation for the current turn has been answered.
+   */
+  async respondToConfirmation(callId: string, outcome: ToolConfirmationOutcome): Promise<void> {
+    const call = this.pendingConfirmations.get(callId);
+    if (!call) {
+      throw new Error(`No pending confirmation for tool call ${callId}`);
+    }
+    if (!Object.values(ToolConfirmationOutcome).includes(outcome)) {
+      throw new Error(`Unknown confirmation outcome: ${outcome}`);
+    }
+    if (outcome === ToolConfirmationOutcome.ModifyWithEditor) {
+      throw new Error('ModifyWithEditor is not supported by the engine');
+    }
+
+    this.pendingConfirmations.delete(callId);
+    if (outcome === ToolConfirmationOutcome.ProceedAlways) {
+      this.alwaysApproved.add(confirmationKey(call.request.name, call.confirmationDetails));
+    }
+    if (this.debug) {
+      console.log(`🔐 Tool call ${call.request.name} answered with ${outcome}`);
+    }
+
+    await call.confirmationDetails.onConfirm(outcome);
+  }
+
   async getTools(): Promise<FunctionDeclaration[]> {
     await this.ensureInitialized();
     if (!this.toolRegistry) {
@@ -218,7 +839,19 @@ class EngineService {
     return this.toolRegistry.getFunctionDeclarations();
   }
 
-  async executeTool(toolName: string, params: Record<string, unknown>) {
+  /**
+   * Checks parameters against a tool's schema. Returns the problem, or null if they are valid.
+   */
+  async validateToolParams(toolName: string, params: Record<string, unknown>): Promise<string | null> {
+    await this.ensureInitialized();
+    const tool = this.toolRegistry?.getTool(toolName);
+    if (!tool) {
+      throw new Error(`Tool ${toolName} not found`);
+    }
+    return tool.validateToolParams(params);
+  }
+
+  async executeTool(toolName: string, params: Record<string, unknown>): Promise<ToolResult> {
     await this.ensureInitialized();
     if (!this.toolRegistry) {
       throw new Error('Tool registry not initialized');
@@ -228,64 +861,540 @@ class EngineService {
     if (!tool) {
       throw new Error(`Tool ${toolName} not found`);
     }
+    const invalid = tool.validateToolParams(params);
+    if (invalid) {
+      throw new Error(`Invalid parameters for ${toolName}: ${invalid}`);
+    }
 
     const abortController = new AbortController();
     return await tool.execute(params, abortController.signal);
   }
 
+  /**
+   * Registers a call awaiting approval and returns the event to send to the
+   * client, or approves it straight away if the client already chose
+   * ProceedAlways for the same kind of call in this session.
+   */
+  private requestConfirmation(call: WaitingToolCall): EngineEvent | null {
+    const { callId, name, args } = call.request;
+    const details = call.confirmationDetails;
+
+    if (this.alwaysApproved.has(confirmationKey(name, details))) {
+      void details.onConfirm(ToolConfirmationOutcome.ProceedOnce);
+      return null;
+    }
+
+    this.pendingConfirmations.set(callId, call);
+    if (this.debug) {
+      console.log(`🔐 Tool call ${name} awaiting confirmation`);
+    }
+    return { type: 'tool_confirmation', data: { callId, name, args, details: toConfirmationData(details) } };
+  }
+
+  /**
+   * Expands @path mentions into file contents and appends any extra context.
+   */
+  private async buildRequest(message: PartListUnion, context?: string): Promise<ResolvedMessage> {
+    const resolved = await resolveMentions(message, this.config);
+    if (resolved.files && this.debug) {
+      const { included, skipped } = resolved.files;
+      console.log(`📎 Attached ${included.length} mentioned file(s), skipped ${skipped.length}`);
+    }
+    if (context) {
+      resolved.parts.push({ text: `\n\nAdditional Context: ${context}` });
+    }
+    return resolved;
+  }
+
+  private createAbortController(signal?: AbortSignal): AbortController {
+    const controller = new AbortController();
+    if (signal?.aborted) {
+      controller.abort();
+    } else {
+      signal?.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+    this.activeControllers.add(controller);
+    return controller;
+  }
+
+  /**
+   * Loads context files, tools and the chat now instead of on first use.
+   */
+  async initialize(): Promise<void> {
+    await this.ensureInitialized();
+  }
+
   getMemoryContent(): string {
     return this.memoryContent;
   }
 
-  private async ensureInitialized() {
-    if (!this.initialized) {
-      if (this.debug) {
-        console.log(`🔧 Initializing engine with Session ID: ${this.sessionId}`);
-      }
-      
-      const contentGeneratorConfig: ContentGeneratorConfig = {
-        authType: AuthType.USE_GEMINI,
-        model: DEFAULT_GEMINI_MODEL,
-        apiKey: this.apikey,
-      };
+  /**
+   * Reloads the hierarchical GEMINI.md context files and rebuilds the system
+   * prompt. If a stream is running, the new prompt applies from the next turn.
+   */
+  async refreshMemory(): Promise<void> {
+    await this.ensureInitialized();
+    this.memoryStale = true;
+    await this.refreshStaleMemory();
+  }
 
-      try {
-        await this.config.refreshAuth(AuthType.USE_GEMINI);
-        
-        await this.client.initialize(contentGeneratorConfig);
-        if (this.debug) {
-          console.log('🔧 Gemini client initialized');
-        }
+  private async loadMemory() {
+    const fileService = this.config.getFileService();
+    const { memoryContent, fileCount, filePaths } = await loadServerHierarchicalMemory(
+      this.config.getWorkingDir(), 
+      this.config.getDebugMode(),
+      fileService,
+      this.config.getExtensionContextFilePaths(),
+    );
+    this.memoryContent = memoryContent;
+    this.config.setUserMemory(memoryContent);
+    this.config.setGeminiMdFileCount(fileCount);
+    if (this.debug) {
+      console.log(`🔧 Loaded ${fileCount} context files (${memoryContent.length} chars)`);
+    }
 
-        this.toolRegistry = await this.config.getToolRegistry();
-        
-        const fileService = await this.config.getFileService();
-        const { memoryContent, fileCount } = await loadServerHierarchicalMemory(
-          this.config.getWorkingDir(), 
-          this.config.getDebugMode(),
-          fileService,
-          this.config.getExtensionContextFilePaths(),
-        );
-        this.memoryContent = memoryContent;
-        if (this.debug) {
-          console.log(`🔧 Loaded ${fileCount} context files (${memoryContent.length} chars)`);
-        }
-        
-        this.initialized = true;
+    if (this.watchMemory) {
+      this.watchMemoryFiles(filePaths);
+    }
+  }
 
-        if (this.debug) {
-          console.log('🔧 Engine initialization complete');
-        }
+  private watchMemoryFiles(filePaths: string[]) {
+    for (const watcher of this.memoryWatchers) {
+      watcher.close();
+    }
+    this.memoryWatchers = [];
+
+    for (const filePath of filePaths) {
+      try {
+        const watcher = watch(filePath, { persistent: false }, () => {
+          if (this.debug && !this.memoryStale) {
+            console.log(`🔧 Context file changed: ${filePath}`);
+          }
+          this.memoryStale = true;
+        });
+        watcher.on('error', () => watcher.close());
+        this.memoryWatchers.push(watcher);
       } catch (error) {
         if (this.debug) {
-          console.error('❌ Engine initialization failed:', error);
+          console.warn(`⚠️ Could not watch context file ${filePath}:`, error);
         }
-        throw error;
       }
     }
   }
+
+  // Called with holdsTurn by the prompt whose turn it is, before it starts
+  private async refreshStaleMemory(holdsTurn = false) {
+    // Swapping the chat mid-turn would drop the in-flight response
+    if (!this.memoryStale || (!holdsTurn && this.turns.size() > 0)) {
+      return;
+    }
+    this.memoryStale = false;
+    await this.loadMemory();
+    await this.restartChat();
+    if (this.debug) {
+      console.log('🔧 System prompt rebuilt with refreshed memory');
+    }
+  }
+
+  private async switchModel(model: string) {
+    const previous = this.config.getModel();
+    if (model === previous) {
+      return;
+    }
+    this.config.setModel(model);
+    // Whether thoughts are requested is fixed when the chat starts
+    if (supportsThinking(model) !== supportsThinking(previous)) {
+      await this.restartChat();
+    }
+    if (this.debug) {
+      console.log(`⚙️ Switched model from ${previous} to ${model}`);
+    }
+  }
+
+  /**
+   * Starts a new chat with the same history, picking up the current system
+   * prompt and generation config.
+   */
+  private async restartChat() {
+    const history = await this.client.getHistory();
+    await this.client.resetChat();
+    await this.client.setHistory(history);
+  }
+
+  /**
+   * Adds one model response to the session totals and returns its usage.
+   */
+  private recordUsage(metadata: GenerateContentResponseUsageMetadata, latencyMs: number): UsageData {
+    const model = this.config.getModel();
+    const usage: UsageData = {
+      model,
+      promptTokens: metadata.promptTokenCount ?? 0,
+      candidateTokens: metadata.candidatesTokenCount ?? 0,
+      cachedTokens: metadata.cachedContentTokenCount ?? 0,
+      thoughtTokens: metadata.thoughtsTokenCount ?? 0,
+      toolTokens: metadata.toolUsePromptTokenCount ?? 0,
+      totalTokens: metadata.totalTokenCount ?? 0,
+      latencyMs,
+    };
+
+    const totals = this.usage.get(model) ?? emptyUsage();
+    addUsage(totals, usage);
+    this.usage.set(model, totals);
+
+    if (this.debug) {
+      console.log(`📊 ${model}: ${usage.promptTokens} prompt, ${usage.candidateTokens} candidate tokens in ${latencyMs}ms`);
+    }
+    return usage;
+  }
+
+  /**
+   * Replaces the fresh chat history with the stored one, if this session has been saved before.
+   */
+  private async restoreSession() {
+    if (!this.sessionStore) return;
+
+    const history = await this.sessionStore.load(this.sessionId);
+    if (history && history.length > 0) {
+      await this.client.setHistory(history);
+      if (this.debug) {
+        console.log(`💾 Restored ${history.length} history entries for session ${this.sessionId}`);
+      }
+    }
+  }
+
+  /**
+   * Saves the current history to the session store. Failures are logged
+   * rather than thrown, so a broken store never fails a finished turn.
+   */
+  private async persistSession() {
+    if (!this.sessionStore || !this.initialized) return;
+
+    try {
+      await this.sessionStore.save(this.sessionId, await this.client.getHistory());
+      if (this.debug) {
+        console.log(`💾 Saved session ${this.sessionId}`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to save session ${this.sessionId}:`, error);
+    }
+  }
+
+  private ensureInitialized(): Promise<void> {
+    if (this.initialized) {
+      return Promise.resolve();
+    }
+    // Concurrent first requests would otherwise each build a tool registry
+    // and start their own MCP servers. A failed attempt is retried by the
+    // next request
+    this.initializing ??= this.initializeOnce().catch((error) => {
+      this.initializing = undefined;
+      throw error;
+    });
+    return this.initializing;
+  }
+
+  private async initializeOnce() {
+    if (this.debug) {
+      console.log(`🔧 Initializing engine with Session ID: ${this.sessionId}`);
+    }
+    
+    try {
+      await this.config.refreshAuth(this.authType, this.credentials);
+
+      // Memory has to be in the config before the chat is started, since
+      // the system prompt is built from it
+      await this.loadMemory();
+      
+      await this.client.initialize(this.config.getContentGeneratorConfig());
+      if (this.debug) {
+        console.log('🔧 Gemini client initialized');
+      }
+
+      await this.restoreSession();
+
+      this.toolRegistry = await this.config.getToolRegistry();
+      
+      this.initialized = true;
+
+      if (this.debug) {
+        console.log('🔧 Engine initialization complete');
+      }
+    } catch (error) {
+      if (this.debug) {
+        console.error('❌ Engine initialization failed:', error);
+      }
+      throw error;
+    }
+  }
+}
+
+const isPlainObject = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const isStringArray = (value: unknown): value is string[] =>
+  Array.isArray(value) && value.every((item) => typeof item === 'string');
+
+const isStringRecord = (value: unknown): value is Record<string, string> =>
+  isPlainObject(value) && Object.values(value).every((item) => typeof item === 'string');
+
+/**
+ * Checks an EngineConfig at runtime, since it often arrives as JSON over HTTP.
+ * Throws an Error naming the first invalid field.
+ */
+const validateEngineConfig = (config: EngineConfig): void => {
+  if (!isPlainObject(config)) {
+    throw new Error('Invalid EngineConfig: expected an object');
+  }
+
+  const fail = (field: string, expected: string): never => {
+    throw new Error(`Invalid EngineConfig: "${field}" must be ${expected}, got ${JSON.stringify(config[field as keyof EngineConfig])}`);
+  };
+  const optional = (field: keyof EngineConfig, check: (value: unknown) => boolean, expected: string) => {
+    if (config[field] !== undefined && !check(config[field])) {
+      fail(field, expected);
+    }
+  };
+  const isString = (value: unknown) => typeof value === 'string';
+  const isNonEmptyString = (value: unknown) => typeof value === 'string' && value.trim().length > 0;
+  const isBoolean = (value: unknown) => typeof value === 'boolean';
+  const isPreset = (value: unknown) => value === 'strict' || value === 'standard' || value === 'open';
+
+  if (!isNonEmptyString(config.dir)) {
+    fail('dir', 'a non-empty string');
+  }
+  optional('debug', isBoolean, 'a boolean');
+  optional('model', isNonEmptyString, 'a non-empty string');
+  optional('embeddingModel', isNonEmptyString, 'a non-empty string');
+  optional('approvalMode', (value) => Object.values(ApprovalMode).includes(value as ApprovalMode), `one of ${Object.values(ApprovalMode).join(', ')}`);
+  optional('queuePolicy', (value) => value === 'queue' || value === 'reject', 'one of queue, reject');
+
+  for (const field of ['fullContext', 'vertexai', 'watchMemory', 'checkpointing', 'usageStatisticsEnabled'] as const) {
+    optional(field, isBoolean, 'a boolean');
+  }
+  for (const field of ['apikey', 'project', 'location', 'sessionId', 'sessionDir', 'toolDiscoveryCommand', 'toolCallCommand', 'mcpServerCommand'] as const) {
+    optional(field, isString, 'a string');
+  }
+  for (const field of ['coreTools', 'excludeTools'] as const) {
+    optional(field, isStringArray, 'an array of tool names');
+  }
+  optional('sessionStore', (value) =>
+    typeof value === 'object' && value !== null &&
+    ['load', 'save', 'delete', 'list'].every((method) => typeof (value as Record<string, unknown>)[method] === 'function'),
+    'a SessionStore with load, save, delete and list methods');
+  if (config.sessionStore !== undefined && config.sessionDir !== undefined) {
+    throw new Error('Invalid EngineConfig: set either "sessionStore" or "sessionDir", not both');
+  }
+  optional('runtime', (value) =>
+    isPlainObject(value) &&
+    (value.command === 'docker' || value.command === 'podman') &&
+    ['path', 'image'].every((key) => value[key] === undefined || isNonEmptyString(value[key])) &&
+    (value.runArgs === undefined || isStringArray(value.runArgs)),
+    'an object with command ("docker" or "podman") and optional path, image and runArgs');
+  optional('security', (value) => {
+    if (isPreset(value)) return true;
+    if (!isPlainObject(value)) return false;
+    const { preset, network, user, readOnlyRoot, tmpfs, capDrop, noNewPrivileges, pidsLimit, readOnlyProject } = value;
+    return (preset === undefined || isPreset(preset)) &&
+      (network === undefined || network === 'bridge' ||
+        (isPlainObject(network) && isNonEmptyString(network.name) && (network.proxy === undefined || isString(network.proxy)))) &&
+      (user === undefined || isNonEmptyString(user)) &&
+      [readOnlyRoot, noNewPrivileges, readOnlyProject].every((flag) => flag === undefined || isBoolean(flag)) &&
+      (tmpfs === undefined || isStringRecord(tmpfs)) &&
+      (capDrop === undefined || isStringArray(capDrop)) &&
+      (pidsLimit === undefined || (Number.isInteger(pidsLimit) && (pidsLimit as number) > 0));
+  }, 'one of strict, standard, open, or a security profile');
+  optional('contextFileName', (value) => isNonEmptyString(value) || (isStringArray(value) && value.length > 0), 'a file name or a non-empty array of file names');
+
+  optional('proxy', (value) => {
+    if (typeof value !== 'string') return false;
+    try {
+      new URL(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }, 'a URL');
+
+  optional('fileFiltering', (value) =>
+    isPlainObject(value) &&
+    ['respectGitIgnore', 'enableRecursiveFileSearch'].every((key) => value[key] === undefined || isBoolean(value[key])),
+    'an object with optional boolean respectGitIgnore and enableRecursiveFileSearch');
+
+  optional('telemetry', (value) =>
+    isPlainObject(value) &&
+    (value.enabled === undefined || isBoolean(value.enabled)) &&
+    (value.logPrompts === undefined || isBoolean(value.logPrompts)) &&
+    (value.otlpEndpoint === undefined || isString(value.otlpEndpoint)) &&
+    (value.target === undefined || value.target === 'local' || value.target === 'gcp'),
+    'an object with optional enabled, target ("local" or "gcp"), otlpEndpoint and logPrompts');
+
+  if (config.mcpServers !== undefined) {
+    if (!isPlainObject(config.mcpServers)) {
+      fail('mcpServers', 'an object mapping server names to server configs');
+    }
+    for (const [name, server] of Object.entries(config.mcpServers as Record<string, unknown>)) {
+      const field = `mcpServers.${name}`;
+      if (!isPlainObject(server)) {
+        throw new Error(`Invalid EngineConfig: "${field}" must be an object`);
+      }
+      if (!server.command && !server.url && !server.httpUrl && !server.tcp) {
+        throw new Error(`Invalid EngineConfig: "${field}" needs one of command, url, httpUrl or tcp`);
+      }
+      const invalid = [
+        ...(['command', 'cwd', 'url', 'httpUrl', 'tcp', 'description'] as const).filter((key) => server[key] !== undefined && !isString(server[key])),
+        ...(server.args !== undefined && !isStringArray(server.args) ? ['args'] : []),
+        ...(server.env !== undefined && !isStringRecord(server.env) ? ['env'] : []),
+        ...(server.headers !== undefined && !isStringRecord(server.headers) ? ['headers'] : []),
+        ...(server.timeout !== undefined && (typeof server.timeout !== 'number' || server.timeout <= 0) ? ['timeout'] : []),
+        ...(server.trust !== undefined && !isBoolean(server.trust) ? ['trust'] : []),
+      ];
+      if (invalid.length > 0) {
+        throw new Error(`Invalid EngineConfig: "${field}" has invalid ${invalid.join(', ')}`);
+      }
+    }
+  }
+}
+
+/**
+ * Counts an engine towards the process-wide settings, throwing if its values
+ * differ from those of the engines already running. Leaving a setting out
+ * means core's default: GEMINI.md, no proxy, telemetry off and usage
+ * statistics on.
+ */
+const claimProcessWide = (config: EngineConfig): void => {
+  const { telemetry } = config;
+  const values: Record<ProcessWideSetting, string> = {
+    contextFileName: JSON.stringify([config.contextFileName ?? DEFAULT_CONTEXT_FILENAME].flat()),
+    proxy: config.proxy ?? '',
+    // Filled in with core's defaults, so leaving a field out matches setting it to the default
+    telemetry: telemetry?.enabled
+      ? JSON.stringify({
+          target: telemetry.target ?? DEFAULT_TELEMETRY_TARGET,
+          otlpEndpoint: telemetry.otlpEndpoint ?? DEFAULT_OTLP_ENDPOINT,
+          logPrompts: telemetry.logPrompts ?? true,
+        })
+      : '',
+    usageStatisticsEnabled: String(config.usageStatisticsEnabled ?? true),
+  };
+  for (const [setting, value] of Object.entries(values) as [ProcessWideSetting, string][]) {
+    const current = processWide.get(setting);
+    if (current && current.value !== value) {
+      throw new Error(`${setting} is shared by every engine in the process and is already set to ${current.value || 'none'}`);
+    }
+  }
+  for (const [setting, value] of Object.entries(values) as [ProcessWideSetting, string][]) {
+    const current = processWide.get(setting) ?? { value, engines: 0 };
+    current.engines++;
+    processWide.set(setting, current);
+  }
+}
+
+/**
+ * Undoes claimProcessWide once an engine is disposed. When the last engine
+ * goes, the context file name is reset to the default. A proxy or the
+ * telemetry SDK can't be uninstalled, so later engines must keep using them.
+ */
+const releaseProcessWide = (): void => {
+  for (const [setting, current] of processWide) {
+    if (--current.engines > 0) continue;
+    if (setting === 'contextFileName') {
+      setGeminiMdFilename(DEFAULT_CONTEXT_FILENAME);
+      processWide.delete(setting);
+    } else if (setting === 'usageStatisticsEnabled' || !current.value) {
+      processWide.delete(setting);
+    }
+  }
+}
+
+const resolveModel = (model?: EngineModel): string => {
+  switch (model) {
+    case 'pro':
+      return DEFAULT_GEMINI_MODEL;
+    case 'mini':
+      return 'gemini-2.0-flash';
+    case 'flash':
+    case undefined:
+      return DEFAULT_GEMINI_FLASH_MODEL;
+    default:
+      return model;
+  }
+}
+
+const emptyUsage = (): ModelUsage => ({
+  requests: 0,
+  promptTokens: 0,
+  candidateTokens: 0,
+  cachedTokens: 0,
+  thoughtTokens: 0,
+  toolTokens: 0,
+  totalTokens: 0,
+  latencyMs: 0,
+});
+
+const addUsage = (totals: ModelUsage, usage: UsageData) => {
+  totals.requests++;
+  for (const key of ['promptTokens', 'candidateTokens', 'cachedTokens', 'thoughtTokens', 'toolTokens', 'totalTokens', 'latencyMs'] as const) {
+    totals[key] += usage[key];
+  }
+}
+
+/**
+ * Classifies a failed request for clients. `status` is the HTTP status when
+ * known; otherwise it is taken from the error itself where possible.
+ */
+const toErrorData = (error: unknown, status?: number): ErrorData => {
+  const message = error instanceof Error ? error.message : String(error);
+  if (status === undefined) {
+    if (error instanceof UnauthorizedError) {
+      status = 401;
+    } else if (typeof error === 'object' && error !== null && typeof (error as { status?: unknown }).status === 'number') {
+      status = (error as { status: number }).status;
+    }
+  }
+
+  if (status === 429) return { code: 'rate_limited', status, retryable: true, message };
+  if (status === 401 || status === 403) return { code: 'unauthorized', status, retryable: false, message };
+  if (status === 404) return { code: 'not_found', status, retryable: false, message };
+  if (status !== undefined && status >= 500) return { code: 'server_error', status, retryable: true, message };
+  if (status !== undefined && status >= 400) return { code: 'invalid_request', status, retryable: false, message };
+  return { code: 'internal', status, retryable: false, message };
+}
+
+// Mirrors the check GeminiClient uses to decide whether to request thoughts
+const supportsThinking = (model: string): boolean => model.startsWith('gemini-2.5');
+
+const displayToString = (display: ToolResultDisplay | undefined): string => {
+  if (!display) return '';
+  return typeof display === 'string' ? display : display.fileDiff;
+}
+
+const describeMessage = (message: PartListUnion): string => {
+  if (typeof message === 'string') {
+    return message.substring(0, 50) + '...';
+  }
+  return `[${toParts(message).length} part(s)]`;
+}
+
+const toConfirmationData = (details: ToolCallConfirmationDetails): ToolConfirmationDetailsData => {
+  // eslint-disable-next-line @typescript-eslint/no-unused-vars
+  const { onConfirm, ...data } = details;
+  return data;
+}
+
+// Identifies which future calls a ProceedAlways answer should cover
+const confirmationKey = (toolName: string, details: ToolCallConfirmationDetails): string => {
+  switch (details.type) {
+    case 'edit':
+      return 'edit';
+    case 'exec':
+      return `exec:${details.rootCommand}`;
+    case 'mcp':
+      return `mcp:${details.serverName}:${details.toolName}`;
+    case 'info':
+      return `info:${toolName}`;
+  }
 }
 
 const createEngine = (config: EngineConfig) => new EngineService(config)
 
-export { createEngine, EngineService };
+export { createEngine, emptyUsage, EngineService, toErrorData, ToolConfirmationOutcome, validateEngineConfig };
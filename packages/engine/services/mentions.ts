@@ -0,0 +1,165 @@
+import { Config as CoreConfig, isWithinRoot, processSingleFileContent } from '@google/gemini-cli-core';
+import { Part, PartListUnion } from '@google/genai';
+import { Stats } from 'node:fs';
+import { readdir, realpath, stat } from 'node:fs/promises';
+import path from 'node:path';
+
+export interface SkippedFileData {
+  path: string;
+  reason: 'not_found' | 'outside_project' | 'ignored' | 'limit' | 'error';
+  message?: string;
+}
+
+export interface ContextFilesData {
+  included: string[];
+  skipped: SkippedFileData[];
+}
+
+export interface ResolvedMessage {
+  parts: Part[];
+  // Null when the message has no @path mentions
+  files: ContextFilesData | null;
+}
+
+// Caps how much a single prompt can pull into the context window
+const MAX_MENTIONED_FILES = 100;
+
+// `@` at the start of the text or after whitespace, followed by a path.
+// Spaces inside the path can be escaped with a backslash.
+const MENTION_PATTERN = /(^|\s)@((?:\\\s|\S)+)/g;
+
+// Punctuation that usually ends a sentence rather than a path
+const TRAILING_PUNCTUATION = /[.,;:!?)\]'"]+$/;
+
+const toParts = (message: PartListUnion): Part[] => {
+  const list = Array.isArray(message) ? message : [message];
+  return list.map((part) => (typeof part === 'string' ? { text: part } : part));
+}
+
+const findMentions = (parts: Part[]): string[] => {
+  const mentions = new Set<string>();
+  for (const part of parts) {
+    if (!part.text) continue;
+    for (const match of part.text.matchAll(MENTION_PATTERN)) {
+      const mention = match[2].replace(/\\(\s)/g, '$1');
+      if (mention) {
+        mentions.add(mention);
+      }
+    }
+  }
+  return [...mentions];
+}
+
+const statOrNull = async (filePath: string): Promise<Stats | null> => {
+  try {
+    return await stat(filePath);
+  } catch {
+    return null;
+  }
+}
+
+// Follows symlinks, so a link inside the project can't point outside it
+const realPath = async (filePath: string): Promise<string> => {
+  try {
+    return await realpath(filePath);
+  } catch {
+    return filePath;
+  }
+}
+
+/**
+ * Resolves `@path` mentions in a prompt to the contents of project files.
+ * Text files become text parts; images, PDFs and other media become inline
+ * data parts. Files excluded by .gitignore/.geminiignore, outside the project
+ * or over the limit are reported as skipped instead.
+ */
+const resolveMentions = async (message: PartListUnion, config: CoreConfig): Promise<ResolvedMessage> => {
+  const parts = toParts(message);
+  const mentions = findMentions(parts);
+  if (mentions.length === 0) {
+    return { parts, files: null };
+  }
+
+  const root = config.getTargetDir();
+  const fileService = config.getFileService();
+  const respectGitIgnore = config.getFileFilteringRespectGitIgnore();
+  const isIgnored = (relativePath: string) =>
+    (respectGitIgnore && fileService.shouldGitIgnoreFile(relativePath)) ||
+    fileService.shouldGeminiIgnoreFile(relativePath);
+
+  const included: string[] = [];
+  const skipped: SkippedFileData[] = [];
+  const fileParts: Part[] = [];
+
+  const listFiles = async (dir: string): Promise<string[]> => {
+    const files: string[] = [];
+    const entries = await readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      const relativePath = path.relative(root, entryPath);
+      if (entry.isDirectory()) {
+        // Check directories with a trailing slash so `dir/` patterns match and whole trees are pruned
+        if (!isIgnored(`${relativePath}/`)) {
+          files.push(...(await listFiles(entryPath)));
+        }
+      } else if (entry.isFile()) {
+        files.push(entryPath);
+      }
+    }
+    return files;
+  }
+
+  for (const mention of mentions) {
+    let mentionPath = path.resolve(root, mention);
+    let stats = await statOrNull(mentionPath);
+    if (!stats && TRAILING_PUNCTUATION.test(mention)) {
+      mentionPath = path.resolve(root, mention.replace(TRAILING_PUNCTUATION, ''));
+      stats = await statOrNull(mentionPath);
+    }
+
+    if (!isWithinRoot(await realPath(mentionPath), await realPath(root))) {
+      skipped.push({ path: mention, reason: 'outside_project' });
+      continue;
+    }
+    if (!stats) {
+      skipped.push({ path: mention, reason: 'not_found' });
+      continue;
+    }
+
+    const files = stats.isDirectory() ? await listFiles(mentionPath) : [mentionPath];
+    for (const file of files) {
+      const relativePath = path.relative(root, file).replace(/\\/g, '/');
+      if (included.includes(relativePath)) {
+        continue;
+      }
+      if (isIgnored(relativePath)) {
+        skipped.push({ path: relativePath, reason: 'ignored' });
+        continue;
+      }
+      if (included.length >= MAX_MENTIONED_FILES) {
+        skipped.push({ path: relativePath, reason: 'limit' });
+        continue;
+      }
+
+      const result = await processSingleFileContent(file, root);
+      if (result.error) {
+        skipped.push({ path: relativePath, reason: 'error', message: result.error });
+        continue;
+      }
+
+      included.push(relativePath);
+      fileParts.push({ text: `\nContent from @${relativePath}:\n` });
+      fileParts.push(typeof result.llmContent === 'string' ? { text: result.llmContent } : result.llmContent);
+    }
+  }
+
+  if (fileParts.length > 0) {
+    parts.push({ text: '\n--- Content from referenced files ---' });
+    parts.push(...fileParts);
+    parts.push({ text: '\n--- End of content ---' });
+  }
+
+  return { parts, files: { included, skipped } };
+}
+
+export { resolveMentions, toParts };
@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest';
+import { resolveSecurityProfile, securityArgs, SecurityProfile } from './securityProfile.js';
+
+const INTERNAL = { name: 'engine-internal', proxy: 'http://proxy:3128' };
+
+// uid:gid the 'host' user maps to in this process
+const hostUser = () => (process.getuid && process.getuid() !== 0 ? `${process.getuid()}:${process.getgid!()}` : '1000:1000');
+
+describe('resolveSecurityProfile', () => {
+  it('should default to the open preset, with the runtime defaults', () => {
+    expect(resolveSecurityProfile()).toEqual({});
+    expect(resolveSecurityProfile('open')).toEqual({});
+  });
+
+  it('should harden the standard preset', () => {
+    expect(resolveSecurityProfile('standard')).toEqual({
+      network: 'bridge',
+      user: 'host',
+      readOnlyRoot: true,
+      tmpfs: { '/tmp': 'rw,nosuid,size=256m' },
+      capDrop: ['ALL'],
+      noNewPrivileges: true,
+      pidsLimit: 512,
+    });
+  });
+
+  it('should apply changes over their preset', () => {
+    expect(resolveSecurityProfile({ preset: 'standard', pidsLimit: 64, readOnlyProject: true })).toMatchObject({
+      user: 'host',
+      readOnlyRoot: true,
+      pidsLimit: 64,
+      readOnlyProject: true,
+    });
+    // Changes without a preset start from open
+    expect(resolveSecurityProfile({ user: '1000:1000' })).toEqual({ user: '1000:1000' });
+  });
+
+  it('should require a network with an egress proxy for strict', () => {
+    const error = 'The strict security profile needs network: { name, proxy }';
+    expect(() => resolveSecurityProfile('strict')).toThrow(error);
+    expect(() => resolveSecurityProfile({ preset: 'strict', network: 'bridge' })).toThrow(error);
+    expect(() => resolveSecurityProfile({ preset: 'strict', network: { name: 'engine-internal' } })).toThrow(error);
+
+    expect(resolveSecurityProfile({ preset: 'strict', network: INTERNAL })).toMatchObject({ network: INTERNAL, pidsLimit: 128 });
+  });
+
+  it('should reject the none network', () => {
+    expect(() => resolveSecurityProfile({ network: { name: 'none' } })).toThrow('The "none" network leaves the engine server unreachable');
+    expect(() => resolveSecurityProfile({ preset: 'strict', network: { name: 'none', proxy: 'http://proxy:3128' } })).toThrow('"none" network');
+  });
+});
+
+describe('securityArgs', () => {
+  it('should add no flags for the open preset', () => {
+    expect(securityArgs(resolveSecurityProfile('open'))).toEqual([]);
+  });
+
+  it('should turn the standard preset into run flags', () => {
+    expect(securityArgs(resolveSecurityProfile('standard'))).toEqual([
+      '--user', hostUser(), '-e', 'HOME=/tmp',
+      '--read-only',
+      '--tmpfs', '/tmp:rw,nosuid,size=256m',
+      '--cap-drop', 'ALL',
+      '--security-opt', 'no-new-privileges',
+      '--pids-limit', '512',
+    ]);
+  });
+
+  it('should join the network and send traffic through its proxy', () => {
+    const args = securityArgs(resolveSecurityProfile({ preset: 'strict', network: INTERNAL }));
+
+    expect(args.slice(0, 2)).toEqual(['--network', 'engine-internal']);
+    expect(args.slice(-12)).toEqual([
+      '-e', 'HTTP_PROXY=http://proxy:3128',
+      '-e', 'HTTPS_PROXY=http://proxy:3128',
+      '-e', 'http_proxy=http://proxy:3128',
+      '-e', 'https_proxy=http://proxy:3128',
+      '-e', 'NO_PROXY=localhost,127.0.0.1',
+      '-e', 'no_proxy=localhost,127.0.0.1',
+    ]);
+    expect(args.join(' ')).toContain('--pids-limit 128');
+  });
+
+  it('should pass other users and tmpfs mounts through as given', () => {
+    const profile: SecurityProfile = { user: 'node', tmpfs: { '/tmp': '', '/cache': 'size=64m' }, capDrop: ['NET_RAW', 'MKNOD'] };
+    expect(securityArgs(profile)).toEqual([
+      '--user', 'node', '-e', 'HOME=/tmp',
+      '--tmpfs', '/tmp',
+      '--tmpfs', '/cache:size=64m',
+      '--cap-drop', 'NET_RAW',
+      '--cap-drop', 'MKNOD',
+    ]);
+  });
+});
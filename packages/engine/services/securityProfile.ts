@@ -0,0 +1,104 @@
+export type SecurityPresetName = 'strict' | 'standard' | 'open';
+
+export interface SecurityProfile {
+  // 'bridge' is the runtime's default network, with open egress. Otherwise an
+  // existing network, typically created with `--internal`, on which the
+  // server is reached by its container IP. `proxy` is then the way out, used
+  // for model requests and set as HTTP(S)_PROXY for tools
+  network?: 'bridge' | { name: string; proxy?: string };
+  // user[:group] to run as. 'host' is the uid:gid of this process, so files
+  // written to the project belong to its owner
+  user?: string;
+  readOnlyRoot?: boolean;
+  // Writable scratch space, path -> tmpfs options, e.g. `{ '/tmp': 'size=256m' }`
+  tmpfs?: Record<string, string>;
+  // Linux capabilities to drop, `['ALL']` for all of them
+  capDrop?: string[];
+  noNewPrivileges?: boolean;
+  pidsLimit?: number;
+  // Mounts the project read-only, so tools can read but not change it
+  readOnlyProject?: boolean;
+}
+
+// A preset, or a profile based on one (default 'open') with some fields changed
+export type SecurityConfig = SecurityPresetName | (SecurityProfile & { preset?: SecurityPresetName });
+
+const HARDENED: SecurityProfile = {
+  network: 'bridge',
+  user: 'host',
+  readOnlyRoot: true,
+  // HOME points here too, for the core's settings and temp files
+  tmpfs: { '/tmp': 'rw,nosuid,size=256m' },
+  capDrop: ['ALL'],
+  noNewPrivileges: true,
+};
+
+const PRESETS: Record<SecurityPresetName, SecurityProfile> = {
+  // The runtime's defaults: root, open network, writable everything
+  open: {},
+  standard: { ...HARDENED, pidsLimit: 512 },
+  // Also needs `network` with the egress proxy; see resolveSecurityProfile
+  strict: { ...HARDENED, pidsLimit: 128 },
+};
+
+/**
+ * Applies a config's changes to its preset. Throws for 'strict' without a
+ * network of its own, as strict must not reach anything but the proxy, and
+ * for the 'none' network, on which the server can't be reached at all.
+ */
+const resolveSecurityProfile = (config: SecurityConfig = 'open'): SecurityProfile => {
+  const { preset = 'open', ...changes } = typeof config === 'string' ? { preset: config } : config;
+  const profile = { ...PRESETS[preset], ...changes };
+  if (networkName(profile) === 'none') {
+    // No port is published and there is no container IP, and the server can't reach the model API either
+    throw new Error('The "none" network leaves the engine server unreachable. Use an internal network with an egress proxy instead');
+  }
+  if (preset === 'strict' && (typeof profile.network !== 'object' || !profile.network.proxy)) {
+    throw new Error('The strict security profile needs network: { name, proxy }, an internal network whose only way out is the egress proxy');
+  }
+  return profile;
+}
+
+// Network name for the runtime, or undefined for its default
+const networkName = (profile: SecurityProfile): string | undefined =>
+  typeof profile.network === 'object' ? profile.network.name : undefined;
+
+const egressProxy = (profile: SecurityProfile): string | undefined =>
+  typeof profile.network === 'object' ? profile.network.proxy : undefined;
+
+/**
+ * `run` flags of a profile, for Docker and Podman alike.
+ */
+const securityArgs = (profile: SecurityProfile): string[] => {
+  const args: string[] = [];
+  const network = networkName(profile);
+  if (network) args.push('--network', network);
+
+  let user = profile.user;
+  if (user === 'host') {
+    // Root on the host gets the image's unprivileged node user instead
+    user = process.getuid && process.getuid() !== 0 ? `${process.getuid()}:${process.getgid!()}` : '1000:1000';
+  }
+  if (user) args.push('--user', user, '-e', 'HOME=/tmp');
+
+  if (profile.readOnlyRoot) args.push('--read-only');
+  for (const [path, options] of Object.entries(profile.tmpfs ?? {})) {
+    args.push('--tmpfs', options ? `${path}:${options}` : path);
+  }
+  for (const capability of profile.capDrop ?? []) {
+    args.push('--cap-drop', capability);
+  }
+  if (profile.noNewPrivileges) args.push('--security-opt', 'no-new-privileges');
+  if (profile.pidsLimit !== undefined) args.push('--pids-limit', String(profile.pidsLimit));
+
+  const proxy = egressProxy(profile);
+  if (proxy) {
+    for (const name of ['HTTP_PROXY', 'HTTPS_PROXY', 'http_proxy', 'https_proxy']) {
+      args.push('-e', `${name}=${proxy}`);
+    }
+    args.push('-e', 'NO_PROXY=localhost,127.0.0.1', '-e', 'no_proxy=localhost,127.0.0.1');
+  }
+  return args;
+}
+
+export { egressProxy, networkName, resolveSecurityProfile, securityArgs };
@@ -0,0 +1,96 @@
+import { Content } from '@google/genai';
+import { mkdir, readdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Persists conversation history per session so engines can resume after a restart.
+ */
+export interface SessionStore {
+  // Resolves to null when nothing is stored for the session
+  load(sessionId: string): Promise<Content[] | null>;
+  save(sessionId: string, history: Content[]): Promise<void>;
+  delete(sessionId: string): Promise<void>;
+  list(): Promise<string[]>;
+}
+
+class InMemorySessionStore implements SessionStore {
+  private sessions = new Map<string, Content[]>();
+
+  async load(sessionId: string): Promise<Content[] | null> {
+    const history = this.sessions.get(sessionId);
+    return history ? structuredClone(history) : null;
+  }
+
+  async save(sessionId: string, history: Content[]): Promise<void> {
+    this.sessions.set(sessionId, structuredClone(history));
+  }
+
+  async delete(sessionId: string): Promise<void> {
+    this.sessions.delete(sessionId);
+  }
+
+  async list(): Promise<string[]> {
+    return [...this.sessions.keys()];
+  }
+}
+
+/**
+ * Stores each session as a JSON array of `Content` in `<dir>/<sessionId>.json`,
+ * the same format core `Logger.saveCheckpoint` uses.
+ */
+class FileSessionStore implements SessionStore {
+  constructor(private readonly dir: string) {}
+
+  async load(sessionId: string): Promise<Content[] | null> {
+    const filePath = this.filePath(sessionId);
+    let raw: string;
+    try {
+      raw = await readFile(filePath, 'utf-8');
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const history = JSON.parse(raw);
+    if (!Array.isArray(history)) {
+      throw new Error(`Session file ${filePath} is not a JSON array`);
+    }
+    return history as Content[];
+  }
+
+  async save(sessionId: string, history: Content[]): Promise<void> {
+    await mkdir(this.dir, { recursive: true });
+    // Write then rename, so a crash mid-write never leaves a truncated session
+    const filePath = this.filePath(sessionId);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await writeFile(tempPath, JSON.stringify(history, null, 2), 'utf-8');
+    await rename(tempPath, filePath);
+  }
+
+  async delete(sessionId: string): Promise<void> {
+    await rm(this.filePath(sessionId), { force: true });
+  }
+
+  async list(): Promise<string[]> {
+    try {
+      const files = await readdir(this.dir);
+      return files
+        .filter((file) => file.endsWith('.json'))
+        .map((file) => decodeURIComponent(file.slice(0, -'.json'.length)));
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  private filePath(sessionId: string): string {
+    // Session ids come from clients, so keep them from escaping the directory
+    return path.join(this.dir, `${encodeURIComponent(sessionId)}.json`);
+  }
+}
+
+export { FileSessionStore, InMemorySessionStore };
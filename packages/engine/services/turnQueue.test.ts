@@ -0,0 +1,113 @@
+import { describe, expect, it, vi } from 'vitest';
+import { TurnQueue } from './turnQueue.js';
+
+describe('TurnQueue', () => {
+  it('should give prompts their turn in the order they entered', async () => {
+    const queue = new TurnQueue();
+    const first = queue.enter();
+    const second = queue.enter();
+    const third = queue.enter();
+    expect([first.position, second.position, third.position]).toEqual([0, 1, 2]);
+
+    const order: string[] = [];
+    const waitTurn = async (name: string, ticket: typeof second) => {
+      while (ticket.position > 0) {
+        await ticket.changed();
+      }
+      order.push(name);
+      ticket.leave();
+    };
+    const waiting = Promise.all([waitTurn('third', third), waitTurn('second', second)]);
+
+    order.push('first');
+    first.leave();
+    await waiting;
+
+    expect(order).toEqual(['first', 'second', 'third']);
+    expect(queue.size()).toBe(0);
+  });
+
+  it('should move prompts up when one ahead of them gives up its place', async () => {
+    const queue = new TurnQueue();
+    const running = queue.enter();
+    const cancelled = queue.enter();
+    const last = queue.enter();
+
+    const changed = last.changed();
+    cancelled.leave();
+    await changed;
+
+    expect(last.position).toBe(1);
+    expect(running.position).toBe(0);
+    expect(queue.size()).toBe(2);
+  });
+
+  it('should stop waiting when the signal aborts', async () => {
+    const queue = new TurnQueue();
+    queue.enter();
+    const waiting = queue.enter();
+    const controller = new AbortController();
+
+    const changed = waiting.changed(controller.signal);
+    controller.abort();
+    await changed;
+
+    // Aborting does not leave the queue; the prompt does that itself
+    expect(waiting.position).toBe(1);
+    waiting.leave();
+    expect(queue.size()).toBe(1);
+  });
+
+  it('should remove its abort listener once the position changes', async () => {
+    const queue = new TurnQueue();
+    const running = queue.enter();
+    const waiting = queue.enter();
+    const controller = new AbortController();
+    const added = vi.spyOn(controller.signal, 'addEventListener');
+    const removed = vi.spyOn(controller.signal, 'removeEventListener');
+
+    const changed = waiting.changed(controller.signal);
+    running.leave();
+    await changed;
+
+    expect(added).toHaveBeenCalledTimes(1);
+    expect(removed).toHaveBeenCalledWith('abort', added.mock.calls[0][1]);
+  });
+
+  it('should resolve at once for an already aborted signal', async () => {
+    const queue = new TurnQueue();
+    queue.enter();
+    const waiting = queue.enter();
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(waiting.changed(controller.signal)).resolves.toBeUndefined();
+  });
+
+  it('should count running and waiting prompts, as the reject policy checks', () => {
+    const queue = new TurnQueue();
+    expect(queue.size()).toBe(0);
+
+    const running = queue.enter();
+    // A second prompt would now be rejected with queuePolicy 'reject'
+    expect(queue.size()).toBe(1);
+    const rejected = queue.enter();
+    expect(rejected.position).toBe(1);
+    rejected.leave();
+    expect(queue.size()).toBe(1);
+
+    running.leave();
+    expect(queue.size()).toBe(0);
+  });
+
+  it('should ignore leaving twice', () => {
+    const queue = new TurnQueue();
+    const first = queue.enter();
+    const second = queue.enter();
+    first.leave();
+    first.leave();
+
+    expect(second.position).toBe(0);
+    expect(queue.size()).toBe(1);
+  });
+});
@@ -0,0 +1,66 @@
+export interface QueueTicket {
+  // Prompts ahead of this one; 0 once it is this prompt's turn
+  readonly position: number;
+  // Resolves when the position changes or the signal aborts
+  changed(signal?: AbortSignal): Promise<void>;
+  // Gives up the turn, or the place in the queue
+  leave(): void;
+}
+
+interface Entry {
+  wake?: () => void;
+}
+
+/**
+ * FIFO of the prompts of one engine. The chat is not safe for concurrent
+ * turns, so each prompt waits until those before it have finished.
+ */
+class TurnQueue {
+  private entries: Entry[] = [];
+
+  // Running and waiting prompts
+  size(): number {
+    return this.entries.length;
+  }
+
+  enter(): QueueTicket {
+    const entry: Entry = {};
+    this.entries.push(entry);
+    const entries = this.entries;
+
+    return {
+      get position() {
+        return Math.max(entries.indexOf(entry), 0);
+      },
+      changed: (signal) => new Promise<void>((resolve) => {
+        if (signal?.aborted) {
+          resolve();
+          return;
+        }
+        // Whichever comes first removes the other, so long waits on one
+        // signal don't pile up listeners
+        const onAbort = () => {
+          entry.wake = undefined;
+          resolve();
+        };
+        entry.wake = () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+      }),
+      leave: () => {
+        const index = entries.indexOf(entry);
+        if (index === -1) return;
+        entries.splice(index, 1);
+        // Everyone behind moved up by one
+        for (const behind of entries.slice(index)) {
+          behind.wake?.();
+          behind.wake = undefined;
+        }
+      },
+    };
+  }
+}
+
+export { TurnQueue };